@@ -1,6 +1,12 @@
 const MAX_FILE_SIZE = 50 * 1024 * 1024;
 const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
 const MAX_TRIANGLES = 500000;
+const MAX_UGC_ITEMS = 9;
+const MAX_ZIP_ENTRIES = 64;
+
+// models take a slot each; resources are matched to them by file name
+const UGC_MODEL_EXTENSIONS = ['glb', 'gltf', 'obj', 'zip'];
+const UGC_RESOURCE_EXTENSIONS = ['bin', 'mtl', 'png', 'jpg', 'jpeg'];
 const FILE_LOAD_TIMEOUT = 30000;
 
 // check actual file content, not just the extension
@@ -8,7 +14,8 @@ const FILE_SIGNATURES = {
     png: '89504e47',
     jpg: 'ffd8ff',
     jpeg: 'ffd8ff',
-    glb: '676c5446'
+    glb: '676c5446',
+    zip: '504b0304'
 };
 
 function escapeHtml(unsafe) {
@@ -91,6 +98,54 @@ async function validateGLBFile(file) {
     return true;
 }
 
+function getFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot >= 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+// glTF and OBJ are text, so there is no magic number to check
+async function validateUgcFile(file) {
+    if (file.size > MAX_FILE_SIZE) {
+        throw new Error(`File too large! Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB`);
+    }
+
+    const ext = getFileExtension(file.name);
+    if (ext === 'glb') return validateGLBFile(file);
+    if (ext === 'zip' && !(await validateFileSignature(file, ['zip']))) {
+        throw new Error('File is not a valid ZIP archive. Possible file spoofing detected.');
+    }
+    if (['png', 'jpg', 'jpeg'].includes(ext)) return validateImageFile(file);
+    if (!UGC_MODEL_EXTENSIONS.includes(ext) && !UGC_RESOURCE_EXTENSIONS.includes(ext)) {
+        throw new Error('Unsupported file type');
+    }
+    return true;
+}
+
+function readFileAs(file, type) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        const timeoutId = setTimeout(() => {
+            reader.abort();
+            reject(new Error('File load timeout'));
+        }, FILE_LOAD_TIMEOUT);
+
+        reader.onload = (event) => {
+            clearTimeout(timeoutId);
+            resolve(event.target.result);
+        };
+        reader.onerror = () => {
+            clearTimeout(timeoutId);
+            reject(new Error('File read error'));
+        };
+
+        if (type === 'text') {
+            reader.readAsText(file);
+        } else {
+            reader.readAsArrayBuffer(file);
+        }
+    });
+}
+
 function validateGLTFModel(gltf) {
     try {
         let totalTriangles = 0;
@@ -162,6 +217,15 @@ async function loadImageSafely(file, timeout = 5000) {
     });
 }
 
+// detached copy so the source object URL can be revoked straight away
+function imageToCanvas(img) {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth || img.width;
+    canvas.height = img.naturalHeight || img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    return canvas;
+}
+
 function safeCreateObjectURL(blob) {
     try {
         return URL.createObjectURL(blob);
@@ -199,6 +263,12 @@ camera.position.set(0, -3.3, 4);
 controls.target.set(0, -3.3, 0);
 controls.update();
 
+const transformControls = new THREE.TransformControls(camera, renderer.domElement);
+transformControls.addEventListener('dragging-changed', (e) => {
+    controls.enabled = !e.value;
+});
+scene.add(transformControls);
+
 const gridHelper = new THREE.GridHelper(30, 30, 0x333333, 0x1a1a1a);
 gridHelper.position.y = -4.75;
 gridHelper.visible = true;
@@ -231,11 +301,18 @@ gridHelper.material.userData.allowedShader = true;
 scene.add(gridHelper);
 
 let polyModel = null;
+let currentModelPath = null;
 let currentSkinTone = new THREE.Color(0xcccccc);
 let currentTexture = null;
 let faceTexture = null;
 let activeTextures = { shirt: null, pants: null, face: null };
+let textureLayers = { shirt: [], pants: [], face: [] };
+let layerComposites = {};
+let nextLayerId = 1;
+let selectedFaceLayerId = null;
 let equippedUgc = [];
+let nextUgcId = 1;
+let selectedUgcId = null;
 
 const BODY_PARTS = {
     shirt: ['torso', 'leftarm', 'rightarm', 'lefthand', 'righthand'],
@@ -243,6 +320,20 @@ const BODY_PARTS = {
     face: ['head', 'face']
 };
 
+// same mesh-name matching as BODY_PARTS, split per limb for body colours
+const BODY_COLOR_PARTS = {
+    head: ['head', 'face'],
+    torso: ['torso'],
+    leftArm: ['leftarm', 'lefthand'],
+    rightArm: ['rightarm', 'righthand'],
+    leftLeg: ['leftleg', 'leftfoot'],
+    rightLeg: ['rightleg', 'rightfoot']
+};
+
+let bodyColors = Object.fromEntries(
+    Object.keys(BODY_COLOR_PARTS).map(part => [part, currentSkinTone.clone()])
+);
+
 const rbxMapData = { 
     "top_parts": [
         {"rect": [231, 8, 128, 64]},
@@ -293,6 +384,26 @@ const polyMapData = {
     ]
 };
 
+const TEMPLATE_LAYOUTS = {
+    rbx: { id: 'rbx', name: 'Roblox', slug: 'roblox', width: 585, height: 559, map: rbxMapData, builtIn: true },
+    poly: { id: 'poly', name: 'Polytoria', slug: 'polytoria', width: 1024, height: 1024, map: polyMapData, builtIn: true }
+};
+
+// both layouts list their parts in the same order, so one set of names covers them
+const REGION_LABELS = {
+    top_parts: ['Torso Up', 'Torso Right', 'Torso Front', 'Torso Left', 'Torso Back', 'Torso Down'],
+    bottom_parts: [
+        'Right Limb Up', 'Left Limb Up',
+        'Right Limb Left', 'Right Limb Back', 'Right Limb Right', 'Right Limb Front',
+        'Left Limb Front', 'Left Limb Left', 'Left Limb Back', 'Left Limb Right',
+        'Right Limb Down', 'Left Limb Down'
+    ]
+};
+
+const PROFILE_STORAGE_KEY = 'polytoriaToolkit.mappingProfiles';
+const MAX_PROFILE_PARTS = 64;
+let customProfiles = [];
+
 class SkinOverlayMaterial extends THREE.MeshStandardMaterial {
     constructor(params) {
         const { skinColor, ...standardParams } = params;
@@ -320,6 +431,33 @@ class SkinOverlayMaterial extends THREE.MeshStandardMaterial {
     }
 }
 
+function getBodyColorPart(meshName) {
+    const name = meshName.toLowerCase();
+    return Object.keys(BODY_COLOR_PARTS).find(part =>
+        BODY_COLOR_PARTS[part].some(match => name.includes(match))
+    ) || null;
+}
+
+function getBodyPartColor(meshName) {
+    const part = getBodyColorPart(meshName);
+    return part ? bodyColors[part] : currentSkinTone;
+}
+
+function applyBodyColors() {
+    if (!polyModel) return;
+    polyModel.traverse(child => {
+        if (child.isMesh && !child.userData.isUGC) {
+            const color = getBodyPartColor(child.name);
+            if (child.material.skinColor) {
+                child.material.skinColor.copy(color);
+            } else {
+                child.material.color.copy(color);
+            }
+            child.material.needsUpdate = true;
+        }
+    });
+}
+
 function createMaterial(color, texture) {
     const params = {
         roughness: 0.8,
@@ -353,16 +491,21 @@ function updateStatus(message, type = 'info') {
     if (type === 'loading') status.classList.add('loading');
 }
 
+// resolves true once the rig is in the scene, false if it failed to load
 function loadModelFromPath(path) {
     updateStatus('Loading model...', 'loading');
+    currentModelPath = path;
+    clearClipHighlight();
     
     const savedUgc = [];
     if (polyModel) {
         equippedUgc.forEach(ugc => {
             if (ugc && ugc.parent) {
+                ugc.updateWorldMatrix(true, false);
                 savedUgc.push({
                     object: ugc.clone(),
-                    parentName: ugc.parent.name,
+                    attachPoint: ugc.userData.attachPoint || null,
+                    worldMatrix: ugc.matrixWorld.clone(),
                     position: ugc.position.clone(),
                     rotation: ugc.rotation.clone(),
                     scale: ugc.scale.clone(),
@@ -370,11 +513,12 @@ function loadModelFromPath(path) {
                 });
             }
         });
+        transformControls.detach();
         scene.remove(polyModel);
     }
     
     const loader = new THREE.GLTFLoader();
-    loader.load(path, (gltf) => {
+    return new Promise(resolve => loader.load(path, (gltf) => {
         polyModel = gltf.scene;
 
         const box = new THREE.Box3().setFromObject(polyModel);
@@ -390,26 +534,36 @@ function loadModelFromPath(path) {
 
         polyModel.traverse(child => {
             if (child.isMesh) {
-                child.material = createMaterial(currentSkinTone, null);
+                child.material = createMaterial(getBodyPartColor(child.name), null);
             }
         });
         
         scene.add(polyModel);
+        polyModel.updateMatrixWorld(true);
         
         equippedUgc = [];
+        const missingNodes = new Set();
         savedUgc.forEach(ugcData => {
-            let attached = false;
-            polyModel.traverse(child => {
-                if (!attached && child.name === ugcData.parentName) {
-                    ugcData.object.position.copy(ugcData.position);
-                    ugcData.object.rotation.copy(ugcData.rotation);
-                    ugcData.object.scale.copy(ugcData.scale);
-                    ugcData.object.userData.fileName = ugcData.fileName;
-                    child.add(ugcData.object);
-                    equippedUgc.push(ugcData.object);
-                    attached = true;
-                }
-            });
+            const object = ugcData.object;
+            object.userData.fileName = ugcData.fileName;
+            
+            const parent = ugcData.attachPoint ? findAttachNode(polyModel, ugcData.attachPoint) : polyModel;
+            if (parent) {
+                object.position.copy(ugcData.position);
+                object.rotation.copy(ugcData.rotation);
+                object.scale.copy(ugcData.scale);
+                parent.add(object);
+            } else {
+                // keep it where it was on screen; the attach point is remembered
+                // for rigs that do have the node
+                missingNodes.add(describeAttachPoint(ugcData.attachPoint));
+                new THREE.Matrix4()
+                    .copy(polyModel.matrixWorld).invert()
+                    .multiply(ugcData.worldMatrix)
+                    .decompose(object.position, object.quaternion, object.scale);
+                polyModel.add(object);
+            }
+            equippedUgc.push(object);
         });
         
         if (faceTexture) applyFaceTexture();
@@ -420,22 +574,51 @@ function loadModelFromPath(path) {
             }
         }
         
+        applyConverterPreview();
+        
+        const selected = getUgcById(selectedUgcId);
+        if (selected) transformControls.attach(selected);
+        else selectedUgcId = null;
+        
         updateUgcList();
-        updateStatus('Model loaded', 'success');
+        if (missingNodes.size > 0) {
+            updateStatus(`Model loaded — ${[...missingNodes].join(', ')} not found on this rig, accessories left in place`, 'error');
+        } else {
+            updateStatus('Model loaded', 'success');
+        }
+        resolve(true);
     }, undefined, (error) => {
         updateStatus('Failed to load model', 'error');
         console.error('Model load error:', error);
-    });
+        resolve(false);
+    }));
 }
 
+// the default decal goes in as a regular face layer so it can be moved and combined.
+// loading it again resets that layer rather than stacking another copy
 function loadFaceDecal(path) {
-    if (!polyModel) return;
-    const textureLoader = new THREE.TextureLoader();
-    textureLoader.load(path, (texture) => {
-        texture.flipY = false;
-        texture.encoding = THREE.sRGBEncoding;
-        faceTexture = texture;
+    const imageLoader = new THREE.ImageLoader();
+    imageLoader.load(path, (img) => {
+        const layer = {
+            name: sanitizeFilename(path.split('/').pop()),
+            image: imageToCanvas(img),
+            opacity: 1,
+            visible: true,
+            transform: createLayerTransform(),
+            isDefaultFace: true
+        };
+
+        const existing = textureLayers.face.find(other => other.isDefaultFace);
+        if (existing) {
+            Object.assign(existing, layer);
+        } else {
+            layer.id = nextLayerId++;
+            textureLayers.face.unshift(layer);
+        }
+        selectedFaceLayerId = (existing || layer).id;
+        compositeTextureLayers('face');
         applyFaceTexture();
+        renderLayerList();
     }, undefined, (error) => {
         console.warn('Could not load face decal:', error);
     });
@@ -447,7 +630,7 @@ function applyFaceTexture() {
         if (child.isMesh) {
             const meshName = child.name.toLowerCase();
             if (meshName.includes('head') || meshName.includes('face')) {
-                child.material = createMaterial(currentSkinTone, faceTexture);
+                child.material = createMaterial(getBodyPartColor(child.name), faceTexture);
                 child.material.needsUpdate = true;
             }
         }
@@ -464,7 +647,7 @@ function applyTextureToCategory(category, texture) {
         if (child.isMesh && !child.userData.isUGC) {
             const meshName = child.name.toLowerCase();
             if (bodyParts.some(part => meshName.includes(part))) {
-                child.material = createMaterial(currentSkinTone, texture);
+                child.material = createMaterial(getBodyPartColor(child.name), texture);
                 child.material.needsUpdate = true;
             }
         }
@@ -499,12 +682,234 @@ function refreshModelTextures(keepExisting, currentCategory) {
                 appliedTexture = faceTexture;
             }
 
-            child.material = createMaterial(currentSkinTone, appliedTexture);
+            child.material = createMaterial(getBodyPartColor(child.name), appliedTexture);
             child.material.needsUpdate = true;
         }
     });
 }
 
+function createLayerTransform() {
+    return { x: 0, y: 0, scale: 1, rotation: 0 };
+}
+
+function hasLayerTransform(layer) {
+    const t = layer.transform;
+    return !!t && (t.x !== 0 || t.y !== 0 || t.scale !== 1 || t.rotation !== 0);
+}
+
+// flattens a category's layer stack (bottom first) into the texture kept in activeTextures
+function compositeTextureLayers(category) {
+    const layers = textureLayers[category];
+    const previous = layerComposites[category];
+
+    if (!layers || layers.length === 0) {
+        if (previous) previous.texture.dispose();
+        delete layerComposites[category];
+        activeTextures[category] = null;
+        if (category === 'face') faceTexture = null;
+        return false;
+    }
+
+    const width = Math.max(...layers.map(layer => layer.image.naturalWidth || layer.image.width));
+    const height = Math.max(...layers.map(layer => layer.image.naturalHeight || layer.image.height));
+
+    // same size means the existing texture can be refreshed in place and
+    // materials already using it don't need rebuilding
+    let composite = previous;
+    const resized = !composite || composite.canvas.width !== width || composite.canvas.height !== height;
+    if (resized) {
+        if (previous) previous.texture.dispose();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.flipY = false;
+        texture.encoding = THREE.sRGBEncoding;
+
+        composite = { canvas, texture };
+        layerComposites[category] = composite;
+    }
+
+    const ctx = composite.canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    layers.forEach(layer => {
+        if (!layer.visible || layer.opacity <= 0) return;
+        ctx.globalAlpha = layer.opacity;
+
+        if (hasLayerTransform(layer)) {
+            // offsets are fractions of the texture, scale and rotation are about its centre
+            const { x, y, scale, rotation } = layer.transform;
+            ctx.save();
+            ctx.translate(width * (0.5 + x), height * (0.5 + y));
+            ctx.rotate(rotation * Math.PI / 180);
+            ctx.scale(scale, scale);
+            ctx.drawImage(layer.image, -width / 2, -height / 2, width, height);
+            ctx.restore();
+        } else {
+            ctx.drawImage(layer.image, 0, 0, width, height);
+        }
+    });
+    ctx.globalAlpha = 1;
+
+    composite.texture.needsUpdate = true;
+    activeTextures[category] = composite.texture;
+    if (category === 'face') faceTexture = composite.texture;
+
+    return resized;
+}
+
+function updateCategoryLayers(category) {
+    const rebuilt = compositeTextureLayers(category);
+    if (rebuilt || !activeTextures[category]) {
+        refreshModelTextures(true);
+    }
+    renderLayerList();
+}
+
+function clearTextureLayers() {
+    Object.keys(textureLayers).forEach(category => {
+        textureLayers[category] = [];
+        compositeTextureLayers(category);
+    });
+}
+
+function renderLayerList() {
+    const listContainer = document.getElementById('layerList');
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    const category = document.getElementById('clothingType')?.value || 'shirt';
+    const layers = textureLayers[category] || [];
+
+    // topmost layer first, like an image editor
+    [...layers].reverse().forEach(layer => {
+        const index = layers.indexOf(layer);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'layer-item';
+
+        const header = document.createElement('div');
+        header.className = 'layer-header';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'layer-name';
+        nameSpan.textContent = layer.name;
+
+        if (category === 'face') {
+            wrapper.classList.add('selectable');
+            if (layer.id === selectedFaceLayerId) wrapper.classList.add('selected');
+            nameSpan.title = 'Select to position';
+            nameSpan.addEventListener('click', () => {
+                selectedFaceLayerId = layer.id;
+                renderLayerList();
+            });
+        }
+
+        const controlsDiv = document.createElement('div');
+        controlsDiv.className = 'layer-controls';
+
+        const addControl = (text, title, onClick, disabled = false) => {
+            const span = document.createElement('span');
+            span.className = 'layer-control' + (disabled ? ' disabled' : '');
+            span.textContent = text;
+            span.title = title;
+            if (!disabled) span.addEventListener('click', onClick);
+            controlsDiv.appendChild(span);
+            return span;
+        };
+
+        addControl('▲', 'Move Up', () => moveTextureLayer(category, index, 1), index === layers.length - 1);
+        addControl('▼', 'Move Down', () => moveTextureLayer(category, index, -1), index === 0);
+        addControl(layer.visible ? '👁️' : '🙈', 'Toggle Visibility', () => {
+            layer.visible = !layer.visible;
+            updateCategoryLayers(category);
+        });
+        addControl('✕', 'Remove', () => {
+            layers.splice(index, 1);
+            updateCategoryLayers(category);
+        }).classList.add('danger');
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = '0';
+        opacity.max = '100';
+        opacity.value = String(Math.round(layer.opacity * 100));
+        opacity.title = 'Opacity';
+        opacity.className = 'layer-opacity';
+        opacity.addEventListener('input', () => {
+            layer.opacity = Number(opacity.value) / 100;
+            compositeTextureLayers(category);
+        });
+
+        header.appendChild(nameSpan);
+        header.appendChild(controlsDiv);
+        wrapper.appendChild(header);
+        wrapper.appendChild(opacity);
+        listContainer.appendChild(wrapper);
+    });
+
+    syncFaceEditor();
+}
+
+function getSelectedFaceLayer() {
+    const layers = textureLayers.face;
+    return layers.find(layer => layer.id === selectedFaceLayerId) || layers[layers.length - 1] || null;
+}
+
+function syncFaceEditor() {
+    const editor = document.getElementById('faceEditor');
+    if (!editor) return;
+
+    const isFace = (document.getElementById('clothingType')?.value || 'shirt') === 'face';
+    const layer = getSelectedFaceLayer();
+    editor.hidden = !isFace || !layer;
+    if (editor.hidden) return;
+
+    selectedFaceLayerId = layer.id;
+    const t = layer.transform || createLayerTransform();
+
+    const label = document.getElementById('faceLayerName');
+    if (label) label.textContent = layer.name;
+
+    FACE_TRANSFORM_FIELDS.forEach(({ inputId, key, toInput }) => {
+        const input = document.getElementById(inputId);
+        if (input) input.value = String(toInput(t[key]));
+    });
+}
+
+function addBlankLayer(category, name = 'Paint') {
+    const size = layerComposites[category]?.canvas || { width: RIG_UV_SIZE, height: RIG_UV_SIZE };
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+
+    const layer = { id: nextLayerId++, name, image: canvas, opacity: 1, visible: true };
+    textureLayers[category].push(layer);
+    return layer;
+}
+
+const FACE_TRANSFORM_FIELDS = [
+    { inputId: 'faceOffsetX', key: 'x', toInput: v => Math.round(v * 100), fromInput: v => v / 100 },
+    { inputId: 'faceOffsetY', key: 'y', toInput: v => Math.round(v * 100), fromInput: v => v / 100 },
+    { inputId: 'faceScale', key: 'scale', toInput: v => Math.round(v * 100), fromInput: v => Math.max(v, 1) / 100 },
+    { inputId: 'faceRotation', key: 'rotation', toInput: v => Math.round(v), fromInput: v => v }
+];
+
+function moveTextureLayer(category, index, direction) {
+    const layers = textureLayers[category];
+    const target = index + direction;
+    if (target < 0 || target >= layers.length) return;
+
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    updateCategoryLayers(category);
+}
+
 function updateUgcList() {
     renderUgcList();
 }
@@ -521,9 +926,14 @@ function renderUgcList() {
         wrapper.className = 'checkbox-option';
         wrapper.style.cssText = 'justify-content: space-between; margin-bottom: 5px; border-radius: 30px; display: flex; align-items: center; padding: 5px 15px; background: rgba(255,255,255,0.05);';
         
+        const isSelected = item.userData.ugcId === selectedUgcId;
+        if (isSelected) wrapper.style.boxShadow = 'inset 0 0 0 1px var(--outline)';
+        
         const nameSpan = document.createElement('span');
-        nameSpan.style.cssText = 'font-size: 11px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 120px;';
+        nameSpan.style.cssText = 'font-size: 11px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 120px; cursor: pointer;';
         nameSpan.textContent = sanitizeFilename(item.userData.fileName || `Accessory ${index + 1}`);
+        nameSpan.title = 'Select to adjust';
+        nameSpan.addEventListener('click', () => selectUgc(isSelected ? null : item.userData.ugcId));
         
         const controlsDiv = document.createElement('div');
         controlsDiv.style.cssText = 'display: flex; gap: 10px; align-items: center;';
@@ -541,464 +951,4841 @@ function renderUgcList() {
         removeSpan.title = 'Remove';
         removeSpan.addEventListener('click', () => removeUgc(index));
         
+        const inspection = item.userData.inspection;
+        const itemId = item.userData.ugcId;
+        if (inspection) {
+            const { status } = gradeInspection(inspection);
+            const gradeSpan = document.createElement('span');
+            gradeSpan.className = `ugc-grade ${status}`;
+            gradeSpan.textContent = status.toUpperCase();
+            gradeSpan.title = 'Show inspection report';
+            gradeSpan.addEventListener('click', () => {
+                if (expandedUgcReports.has(itemId)) {
+                    expandedUgcReports.delete(itemId);
+                } else {
+                    expandedUgcReports.add(itemId);
+                }
+                renderUgcList();
+            });
+            controlsDiv.appendChild(gradeSpan);
+        }
+        
         controlsDiv.appendChild(toggleSpan);
         controlsDiv.appendChild(removeSpan);
         
         wrapper.appendChild(nameSpan);
         wrapper.appendChild(controlsDiv);
         listContainer.appendChild(wrapper);
+        
+        if (inspection && expandedUgcReports.has(itemId)) {
+            listContainer.appendChild(buildInspectionReport(inspection));
+        }
     });
+    
+    renderAttachOptions();
+    syncUgcTransformPanel();
+    syncUgcMaterialPanel();
 }
 
-function removeUgc(index) {
-    const item = equippedUgc[index];
-    if (item && polyModel) {
-        polyModel.remove(item);
-        equippedUgc.splice(index, 1);
-        renderUgcList();
-    }
+function getUgcById(id) {
+    if (id === null) return null;
+    return equippedUgc.find(item => item.userData.ugcId === id) || null;
 }
 
-function toggleSingleUgc(index) {
-    const item = equippedUgc[index];
+function selectUgc(id) {
+    const item = getUgcById(id);
+    if (selectedUgcId !== id) selectedUgcMaterial = 0;
+    selectedUgcId = item ? id : null;
+
     if (item) {
-        item.visible = !item.visible;
-        renderUgcList();
+        transformControls.attach(item);
+    } else {
+        transformControls.detach();
     }
+
+    renderUgcList();
 }
 
-async function loadUgc(file) {
-    if (equippedUgc.length >= 9) {
-        updateStatus("Maximum 9 accessories reached!", "error");
-        return;
-    }
-    if (!polyModel) {
-        updateStatus("Please load a character model first!", "error");
-        return;
+const ATTACH_PRESETS = {
+    head: { label: 'Head', nodes: ['head'] },
+    torso: { label: 'Torso', nodes: ['torso', 'uppertorso', 'spine'] },
+    leftHand: { label: 'Left Hand', nodes: ['lefthand', 'leftarm'] },
+    rightHand: { label: 'Right Hand', nodes: ['righthand', 'rightarm'] }
+};
+
+function isInsideUgc(object) {
+    for (let o = object; o; o = o.parent) {
+        if (o.userData.ugcId) return true;
     }
+    return false;
+}
 
-    try {
-        await validateGLBFile(file);
-        
-        updateStatus(`Loading ${sanitizeFilename(file.name)}...`, 'loading');
+function getAttachableNodes(model) {
+    const nodes = [];
+    const seen = new Set();
+    model.traverse(child => {
+        if (child === model || !child.name || seen.has(child.name) || isInsideUgc(child)) return;
+        seen.add(child.name);
+        nodes.push(child);
+    });
+    return nodes;
+}
 
-        const reader = new FileReader();
-        
-        await new Promise((resolve, reject) => {
-            const timeoutId = setTimeout(() => {
-                reject(new Error('GLB load timeout'));
-            }, FILE_LOAD_TIMEOUT);
-            
-            reader.onload = function(event) {
-                clearTimeout(timeoutId);
-                const contents = event.target.result;
-                const loader = new THREE.GLTFLoader();
-
-                loader.parse(contents, '', (gltf) => {
-                    try {
-                        validateGLTFModel(gltf);
-                        
-                        const accessory = gltf.scene;
-                        
-                        accessory.traverse(child => {
-                            if (child.isMesh) {
-                                child.userData.isUGC = true;
-                                child.castShadow = true;
-                                
-                                // remove any custom shaders that weren't marked safe
-                                if (child.material && child.material.onBeforeCompile) {
-                                    if (!child.material.userData.allowedShader) {
-                                        delete child.material.onBeforeCompile;
-                                    }
-                                }
-                            }
-                        });
-
-                        accessory.userData.fileName = sanitizeFilename(file.name);
-                        polyModel.add(accessory);
-                        equippedUgc.push(accessory);
-
-                        renderUgcList();
-                        updateStatus("Accessory added!", "success");
-                        resolve();
-                    } catch (err) {
-                        updateStatus(err.message, "error");
-                        reject(err);
-                    }
-                }, (err) => {
-                    clearTimeout(timeoutId);
-                    updateStatus("Failed to parse GLB file", "error");
-                    reject(err);
-                });
-            };
-            
-            reader.onerror = () => {
-                clearTimeout(timeoutId);
-                reject(new Error('File read error'));
-            };
+// presets try their candidates in order; exact names win over "Torso.001" style suffixes
+function findAttachNode(model, attachPoint) {
+    const candidates = attachPoint.preset
+        ? ATTACH_PRESETS[attachPoint.preset]?.nodes || []
+        : [String(attachPoint.node || '').toLowerCase()];
+    const nodes = getAttachableNodes(model);
 
-            reader.readAsArrayBuffer(file);
-        });
-    } catch (error) {
-        updateStatus(error.message, "error");
-        console.error('UGC load error:', error);
+    for (const candidate of candidates) {
+        const exact = nodes.find(node => node.name.toLowerCase() === candidate);
+        if (exact) return exact;
+        const suffixed = nodes.find(node => node.name.toLowerCase().startsWith(candidate + '.'));
+        if (suffixed) return suffixed;
     }
+    return null;
 }
 
-async function downloadTexturesZip() {
-    if (!polyModel) {
-        updateStatus("Please load a character first!", "error");
-        return;
-    }
-    
-    updateStatus("Preparing ZIP Archive...", "loading");
+function describeAttachPoint(attachPoint) {
+    if (!attachPoint) return 'Character Root';
+    return attachPoint.preset ? ATTACH_PRESETS[attachPoint.preset]?.label || attachPoint.preset : attachPoint.node;
+}
 
-    try {
-        if (typeof JSZip === 'undefined') {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
-            script.integrity = 'sha384-+mbV2IY1Zk/X1p/nWllGySJSUN8uMs+gUAN10Or95UBH0fpj6GfKgPmgC5EXieXG';
-            script.crossOrigin = 'anonymous';
-            document.head.appendChild(script);
-            await new Promise((resolve, reject) => {
-                script.onload = resolve;
-                script.onerror = () => reject(new Error('Failed to load JSZip'));
-            });
-        }
+function renderAttachOptions() {
+    const select = document.getElementById('ugcAttachPoint');
+    const item = getUgcById(selectedUgcId);
+    if (!select || !item || !polyModel) return;
 
-        const zip = new JSZip();
-        const textureFolder = zip.folder("textures");
-        let textureCount = 0;
+    select.innerHTML = '';
+    const addOption = (parent, value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        parent.appendChild(option);
+    };
 
-        polyModel.traverse((child) => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material) ? child.material : [child.material];
-                
-                materials.forEach((mat) => {
-                    if (mat.map && mat.map.image) {
-                        try {
-                            const canvas = document.createElement('canvas');
-                            const img = mat.map.image;
-                            canvas.width = img.width;
-                            canvas.height = img.height;
-                            const ctx = canvas.getContext('2d');
-                            ctx.drawImage(img, 0, 0);
-
-                            const dataUrl = canvas.toDataURL("image/png");
-                            const base64Data = dataUrl.replace(/^data:image\/(png|jpg);base64,/, "");
-
-                            const safeName = sanitizeFilename(child.name || 'accessory');
-                            const fileName = `${safeName}_${textureCount}.png`;
-                            textureFolder.file(fileName, base64Data, {base64: true});
-                            textureCount++;
-                        } catch (e) {
-                            console.warn(`Could not extract texture:`, e);
-                        }
-                    }
-                });
-            }
-        });
+    addOption(select, '', 'Character Root');
 
-        if (textureCount === 0) {
-            updateStatus("No textures found to export", "error");
-            return;
-        }
+    const presetGroup = document.createElement('optgroup');
+    presetGroup.label = 'Presets';
+    Object.entries(ATTACH_PRESETS).forEach(([key, preset]) => {
+        const available = findAttachNode(polyModel, { preset: key });
+        addOption(presetGroup, `preset:${key}`, available ? preset.label : `${preset.label} (missing)`);
+    });
+    select.appendChild(presetGroup);
 
-        const content = await zip.generateAsync({type: "blob"});
-        const url = safeCreateObjectURL(content);
-        
-        if (!url) {
-            updateStatus("Failed to create download", "error");
-            return;
-        }
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = "character_textures.zip";
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        setTimeout(() => safeRevokeObjectURL(url), 100);
-        
-        updateStatus(`ZIP Downloaded! (${textureCount} textures)`, "success");
-    } catch (error) {
-        updateStatus("ZIP export failed", "error");
-        console.error('ZIP error:', error);
+    const nodeGroup = document.createElement('optgroup');
+    nodeGroup.label = 'Rig Nodes';
+    getAttachableNodes(polyModel).forEach(node => {
+        addOption(nodeGroup, `node:${node.name}`, node.isBone ? `${node.name} (bone)` : node.name);
+    });
+    select.appendChild(nodeGroup);
+
+    const attachPoint = item.userData.attachPoint;
+    const value = !attachPoint ? '' : attachPoint.preset ? `preset:${attachPoint.preset}` : `node:${attachPoint.node}`;
+    if (![...select.options].some(option => option.value === value)) {
+        addOption(nodeGroup, value, `${attachPoint.node} (missing)`);
     }
+    select.value = value;
 }
 
-async function downloadGeometry() {
-    if (!polyModel) {
-        updateStatus("Please load a character first!", "error");
-        return;
+function attachUgc(item, attachPoint) {
+    const node = attachPoint ? findAttachNode(polyModel, attachPoint) : polyModel;
+    if (!node) {
+        updateStatus(`${describeAttachPoint(attachPoint)} not found on this rig`, 'error');
+        return false;
     }
-    
-    updateStatus("Exporting geometry...", "loading");
 
-    try {
-        const exporter = new THREE.GLTFExporter();
-        const exportScene = new THREE.Scene();
-        const cleanModel = polyModel.clone();
-        
-        cleanModel.traverse((child) => {
-            if (child.isMesh) {
-                child.material = new THREE.MeshStandardMaterial({
-                    color: 0xffffff,
-                    roughness: 0.8,
-                    metalness: 0.1
-                });
-                child.material.map = null;
-                child.material.emissiveMap = null;
-                child.material.normalMap = null;
-            }
+    // attach() keeps the world transform, so the accessory doesn't jump
+    node.attach(item);
+    item.userData.attachPoint = attachPoint;
+    return true;
+}
+
+// originals per material so edits can be undone; keyed by the material itself
+// because clone() shares materials and can't copy textures through userData
+const ugcMaterialOriginals = new WeakMap();
+let selectedUgcMaterial = 0;
+
+function getUgcMaterials(item) {
+    const materials = [];
+    item.traverse(child => {
+        if (!child.isMesh) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+            if (material && !materials.includes(material)) materials.push(material);
         });
+    });
+    return materials;
+}
 
-        exportScene.add(cleanModel);
+function rememberUgcMaterial(material) {
+    if (ugcMaterialOriginals.has(material)) return;
+    ugcMaterialOriginals.set(material, {
+        color: material.color ? material.color.clone() : null,
+        roughness: material.roughness,
+        metalness: material.metalness,
+        map: material.map
+    });
+}
 
-        exporter.parse(
-            exportScene,
-            (result) => {
-                const blob = new Blob([result], { type: 'application/octet-stream' });
-                const url = safeCreateObjectURL(blob);
-                
-                if (!url) {
-                    updateStatus("Failed to create download", "error");
-                    return;
-                }
-                
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = "character_geometry.glb";
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                
-                setTimeout(() => safeRevokeObjectURL(url), 100);
-                
-                updateStatus("Geometry downloaded!", "success");
-            },
-            (err) => {
-                console.error("Export error:", err);
-                updateStatus("Export failed", "error");
-            },
-            { binary: true }
+function getSelectedUgcMaterial() {
+    const item = getUgcById(selectedUgcId);
+    if (!item) return null;
+    const materials = getUgcMaterials(item);
+    return materials[Math.min(selectedUgcMaterial, materials.length - 1)] || null;
+}
+
+function setUgcMaterialMap(material, texture) {
+    const current = material.map;
+    const original = ugcMaterialOriginals.get(material)?.map;
+    if (current && current !== original && current !== texture) current.dispose();
+
+    material.map = texture;
+    material.needsUpdate = true;
+}
+
+function syncUgcMaterialPanel() {
+    const item = getUgcById(selectedUgcId);
+    const panel = document.getElementById('ugcMaterialPanel');
+    if (!item || !panel) return;
+
+    const materials = getUgcMaterials(item);
+    panel.hidden = materials.length === 0;
+    if (materials.length === 0) return;
+
+    selectedUgcMaterial = Math.min(selectedUgcMaterial, materials.length - 1);
+    const material = materials[selectedUgcMaterial];
+
+    const select = document.getElementById('ugcMaterialSelect');
+    if (select) {
+        select.innerHTML = '';
+        materials.forEach((m, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = sanitizeFilename(m.name || `Material ${index + 1}`);
+            select.appendChild(option);
+        });
+        select.value = selectedUgcMaterial;
+    }
+
+    const colorInput = document.getElementById('ugcMaterialColor');
+    if (colorInput) {
+        colorInput.disabled = !material.color;
+        if (material.color) {
+            colorInput.value = `#${material.color.getHexString()}`;
+            colorInput.dispatchEvent(new Event('colorsync'));
+        }
+    }
+
+    ['roughness', 'metalness'].forEach(prop => {
+        const input = document.getElementById(`ugc${prop[0].toUpperCase()}${prop.slice(1)}`);
+        const label = document.getElementById(`ugc${prop[0].toUpperCase()}${prop.slice(1)}Value`);
+        // unlit and legacy materials don't have these
+        const supported = typeof material[prop] === 'number';
+        if (input) {
+            input.disabled = !supported;
+            if (supported) input.value = material[prop];
+        }
+        if (label) label.textContent = supported ? material[prop].toFixed(2) : 'n/a';
+    });
+
+    const textureName = document.getElementById('ugcTextureName');
+    if (textureName) {
+        const image = material.map?.image;
+        textureName.textContent = image ? `${image.width}×${image.height}` : 'None';
+    }
+}
+
+// kept as plain arrays so it survives the userData copy in clone()
+function storeOriginalTransform(object) {
+    object.userData.originalTransform = {
+        position: object.position.toArray(),
+        rotation: object.rotation.toArray().slice(0, 3),
+        scale: object.scale.toArray()
+    };
+}
+
+const UGC_TRANSFORM_FIELDS = ['X', 'Y', 'Z'].flatMap(axis => [
+    { inputId: `ugcPos${axis}`, prop: 'position', axis: axis.toLowerCase(), digits: 3 },
+    { inputId: `ugcRot${axis}`, prop: 'rotation', axis: axis.toLowerCase(), digits: 1 },
+    { inputId: `ugcScale${axis}`, prop: 'scale', axis: axis.toLowerCase(), digits: 3 }
+]);
+
+function syncUgcTransformPanel() {
+    const panel = document.getElementById('ugcTransformPanel');
+    const item = getUgcById(selectedUgcId);
+    if (panel) panel.hidden = !item;
+    if (!item) return;
+
+    const label = document.getElementById('ugcSelectedName');
+    if (label) label.textContent = sanitizeFilename(item.userData.fileName || 'Accessory');
+
+    UGC_TRANSFORM_FIELDS.forEach(({ inputId, prop, axis, digits }) => {
+        const input = document.getElementById(inputId);
+        if (!input || document.activeElement === input) return;
+
+        const value = prop === 'rotation'
+            ? THREE.MathUtils.radToDeg(item.rotation[axis])
+            : item[prop][axis];
+        input.value = value.toFixed(digits);
+    });
+}
+
+const RIG_MODELS = [
+    { gender: 'male', rig: 'new', label: 'Male', path: 'assets/rigs/character.glb' },
+    { gender: 'female', rig: 'new', label: 'Female', path: 'assets/rigs/character_female.glb' },
+    { gender: 'male', rig: 'legacy', label: 'Legacy Male', path: 'assets/legacy_rigs/old_character.glb' },
+    { gender: 'female', rig: 'legacy', label: 'Legacy Female', path: 'assets/legacy_rigs/old_character_female.glb' }
+];
+
+// vertices tested per accessory; denser meshes are strided
+const MAX_CLIP_SAMPLES = 5000;
+// samples tested between yields to the browser
+const CLIP_BATCH_SIZE = 500;
+const CLIP_GRID_SIZE = 16;
+const CLIP_RAY_DIRECTIONS = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+const rigBodyCache = new Map();
+let clipHighlight = null;
+
+function getRigPath(gender, rig) {
+    return (RIG_MODELS.find(model => model.gender === gender && model.rig === rig) || RIG_MODELS[0]).path;
+}
+
+function formatBodyPart(part) {
+    return part.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+// buckets triangles by their footprint across the other two axes, so a ray cast along
+// `axis` only tests the triangles whose footprint covers its start point
+function buildClipGrid(triangles, box, axis) {
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    const min = [box.min.getComponent(u), box.min.getComponent(v)];
+    const span = [box.max.getComponent(u) - min[0], box.max.getComponent(v) - min[1]];
+    const cellOf = (value, k) => Math.min(CLIP_GRID_SIZE - 1,
+        Math.max(0, Math.floor((value - min[k]) / (span[k] || 1) * CLIP_GRID_SIZE)));
+
+    const cells = Array.from({ length: CLIP_GRID_SIZE * CLIP_GRID_SIZE }, () => []);
+    triangles.forEach(triangle => {
+        const us = triangle.map(p => p.getComponent(u));
+        const vs = triangle.map(p => p.getComponent(v));
+        for (let i = cellOf(Math.min(...us), 0); i <= cellOf(Math.max(...us), 0); i++) {
+            for (let j = cellOf(Math.min(...vs), 1); j <= cellOf(Math.max(...vs), 1); j++) {
+                cells[i * CLIP_GRID_SIZE + j].push(triangle);
+            }
+        }
+    });
+
+    return point => cells[cellOf(point.getComponent(u), 0) * CLIP_GRID_SIZE + cellOf(point.getComponent(v), 1)];
+}
+
+// rigs are loaded untouched (root at identity) so everything below is in rig units
+function loadRigBody(path) {
+    if (!rigBodyCache.has(path)) {
+        const promise = new THREE.GLTFLoader().loadAsync(path).then(gltf => {
+            const rig = gltf.scene;
+            rig.updateMatrixWorld(true);
+
+            const parts = [];
+            rig.traverse(child => {
+                if (!child.isMesh || !child.geometry.attributes.position) return;
+
+                const position = child.geometry.attributes.position;
+                const index = child.geometry.index;
+                const count = index ? index.count : position.count;
+                const triangles = [];
+                for (let i = 0; i + 2 < count; i += 3) {
+                    triangles.push([0, 1, 2].map(k =>
+                        new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i + k) : i + k)
+                    ));
+                }
+
+                child.geometry.computeBoundingBox();
+                const box = child.geometry.boundingBox.clone();
+                parts.push({
+                    part: getBodyColorPart(child.name) || getBodyColorPart(child.parent?.name || ''),
+                    name: child.name,
+                    inverse: new THREE.Matrix4().copy(child.matrixWorld).invert(),
+                    box,
+                    grids: CLIP_RAY_DIRECTIONS.map((_, axis) => buildClipGrid(triangles, box, axis))
+                });
+            });
+            return { rig, parts };
+        });
+        // let a failed load be retried
+        promise.catch(() => rigBodyCache.delete(path));
+        rigBodyCache.set(path, promise);
+    }
+    return rigBodyCache.get(path);
+}
+
+// parity test: odd hit counts along most of the axes means the point is enclosed
+function isPointInsideBodyPart(point, bodyPart) {
+    if (!bodyPart.box.containsPoint(point)) return false;
+
+    const ray = new THREE.Ray();
+    const hit = new THREE.Vector3();
+    let insideVotes = 0;
+
+    CLIP_RAY_DIRECTIONS.forEach((direction, axis) => {
+        ray.set(point, direction);
+        let hits = 0;
+        bodyPart.grids[axis](point).forEach(([a, b, c]) => {
+            if (ray.intersectTriangle(a, b, c, false, hit)) hits++;
+        });
+        if (hits % 2 === 1) insideVotes++;
+    });
+
+    return insideVotes >= 2;
+}
+
+// where the accessory would sit on a rig loaded at the origin
+function getAccessoryRigMatrix(item, rig, isCurrentRig) {
+    polyModel.updateMatrixWorld(true);
+    const rootRelative = new THREE.Matrix4().copy(polyModel.matrixWorld).invert().multiply(item.matrixWorld);
+    if (isCurrentRig || !item.userData.attachPoint) return rootRelative;
+
+    // the same rule loadModelFromPath uses: follow the node, or stay put when it's missing
+    const node = findAttachNode(rig, item.userData.attachPoint);
+    if (!node) return rootRelative;
+
+    item.updateMatrix();
+    return new THREE.Matrix4().multiplyMatrices(node.matrixWorld, item.matrix);
+}
+
+async function findClippingPoints(item, accessoryMatrix, parts) {
+    const itemInverse = new THREE.Matrix4().copy(item.matrixWorld).invert();
+    const clipped = new Set();
+    const points = [];
+
+    const meshes = [];
+    item.traverse(child => {
+        if (child.isMesh && child.visible && child.geometry.attributes.position) meshes.push(child);
+    });
+    const total = meshes.reduce((sum, mesh) => sum + mesh.geometry.attributes.position.count, 0);
+    const stride = Math.max(1, Math.ceil(total / MAX_CLIP_SAMPLES));
+
+    const vertex = new THREE.Vector3();
+    const local = new THREE.Vector3();
+    let tested = 0;
+    for (const child of meshes) {
+        // mesh -> accessory root -> rig root
+        const meshMatrix = new THREE.Matrix4().multiplyMatrices(accessoryMatrix, itemInverse).multiply(child.matrixWorld);
+        const position = child.geometry.attributes.position;
+
+        for (let i = 0; i < position.count; i += stride) {
+            if (++tested % CLIP_BATCH_SIZE === 0) await new Promise(resolve => setTimeout(resolve, 0));
+            vertex.fromBufferAttribute(position, i).applyMatrix4(meshMatrix);
+
+            for (const bodyPart of parts) {
+                local.copy(vertex).applyMatrix4(bodyPart.inverse);
+                if (isPointInsideBodyPart(local, bodyPart)) {
+                    clipped.add(bodyPart.part ? formatBodyPart(bodyPart.part) : bodyPart.name);
+                    points.push(vertex.x, vertex.y, vertex.z);
+                    break;
+                }
+            }
+        }
+    }
+
+    return { parts: [...clipped], points };
+}
+
+function clearClipHighlight() {
+    if (!clipHighlight) return;
+    scene.remove(clipHighlight);
+    clipHighlight.geometry.dispose();
+    clipHighlight.material.dispose();
+    clipHighlight = null;
+}
+
+// kept out of polyModel so it never ends up in an export
+function showClipHighlight(points) {
+    clearClipHighlight();
+    if (points.length === 0 || !polyModel) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    clipHighlight = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: 0xff3b3b,
+        size: 6,
+        sizeAttenuation: false,
+        depthTest: false,
+        transparent: true
+    }));
+    clipHighlight.renderOrder = 999;
+    clipHighlight.matrixAutoUpdate = false;
+    polyModel.updateMatrixWorld(true);
+    clipHighlight.matrix.copy(polyModel.matrixWorld);
+    scene.add(clipHighlight);
+}
+
+function renderClipReport(results) {
+    const report = document.getElementById('clipReport');
+    if (!report) return;
+
+    report.innerHTML = '';
+    results.forEach(result => {
+        const clips = result.rigs.filter(rig => rig.parts.length > 0);
+
+        const row = document.createElement('div');
+        row.className = result.hidden ? 'report-item' : `report-item ${clips.length > 0 ? 'warning' : 'success'}`;
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'report-name';
+        nameSpan.textContent = sanitizeFilename(result.name);
+
+        const detailSpan = document.createElement('span');
+        detailSpan.className = 'report-detail wrap';
+        detailSpan.textContent = result.hidden ? 'Hidden — not checked' : clips.length > 0
+            ? clips.map(rig => `${rig.label}: ${rig.parts.join(', ')}`).join(' · ')
+            : 'No clipping on any rig';
+
+        row.appendChild(nameSpan);
+        row.appendChild(detailSpan);
+        report.appendChild(row);
+    });
+}
+
+async function checkClipping() {
+    if (!polyModel || equippedUgc.length === 0) {
+        updateStatus('Equip an accessory first!', 'error');
+        return;
+    }
+
+    updateStatus('Checking clipping...', 'loading');
+    clearClipHighlight();
+
+    const checkClippingBtn = document.getElementById('checkClippingBtn');
+    if (checkClippingBtn) checkClippingBtn.disabled = true;
+
+    try {
+        // the check yields as it goes, so work on the accessories as they were when it
+        // started and give up if the rig or the accessory list changes underneath it
+        const items = [...equippedUgc];
+        const modelPath = currentModelPath;
+        const model = polyModel;
+        const isStale = () => polyModel !== model || currentModelPath !== modelPath ||
+            equippedUgc.length !== items.length || items.some((item, index) => equippedUgc[index] !== item);
+        const results = items.map(item => ({
+            name: item.userData.fileName || 'Accessory',
+            hidden: item.visible === false,
+            rigs: []
+        }));
+        const highlight = [];
+
+        for (const rigModel of RIG_MODELS) {
+            updateStatus(`Checking clipping on ${rigModel.label}...`, 'loading');
+            // let the status paint before the heavy part
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const { rig, parts } = await loadRigBody(rigModel.path);
+            const isCurrentRig = rigModel.path === modelPath;
+
+            for (const [index, item] of items.entries()) {
+                if (results[index].hidden) continue;
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (isStale()) break;
+
+                const matrix = getAccessoryRigMatrix(item, rig, isCurrentRig);
+                const clip = await findClippingPoints(item, matrix, parts);
+                results[index].rigs.push({ label: rigModel.label, parts: clip.parts });
+                if (isCurrentRig) highlight.push(...clip.points);
+            }
+
+            if (isStale()) {
+                updateStatus('Clipping check stopped — the rig or accessories changed, run it again', 'info');
+                return;
+            }
+        }
+
+        renderClipReport(results);
+        showClipHighlight(highlight);
+
+        const clipping = results.filter(result => result.rigs.some(rig => rig.parts.length > 0)).length;
+        updateStatus(
+            clipping > 0 ? `${clipping} accessory(s) clip the body — see the list` : 'No clipping found',
+            clipping > 0 ? 'error' : 'success'
         );
     } catch (error) {
-        updateStatus("Export failed", "error");
-        console.error('Export error:', error);
+        updateStatus('Clipping check failed', 'error');
+        console.error('Clipping check error:', error);
+    } finally {
+        if (checkClippingBtn) checkClippingBtn.disabled = false;
     }
 }
 
-const bgInput = document.getElementById('bgColor');
-if (bgInput) {
-    bgInput.addEventListener('input', e => {
-        renderer.setClearColor(e.target.value);
+function removeUgc(index) {
+    const item = equippedUgc[index];
+    if (item && polyModel) {
+        if (item.userData.ugcId === selectedUgcId) {
+            transformControls.detach();
+            selectedUgcId = null;
+        }
+        if (item.parent) item.parent.remove(item);
+        equippedUgc.splice(index, 1);
+        clearClipHighlight();
+        renderUgcList();
+    }
+}
+
+function toggleSingleUgc(index) {
+    const item = equippedUgc[index];
+    if (item) {
+        item.visible = !item.visible;
+        renderUgcList();
+    }
+}
+
+const UGC_BUDGET_STORAGE_KEY = 'polytoriaToolkit.ugcBudgets';
+
+// rigs are roughly 10 units tall, so "size" is the largest side of the accessory's box
+const DEFAULT_UGC_BUDGETS = {
+    triangles: { warn: 4000, fail: 10000 },
+    materials: { warn: 3, fail: 8 },
+    textureSize: { warn: 1024, fail: 2048 },
+    size: { warn: 8, fail: 12 }
+};
+
+const UGC_BUDGET_LABELS = {
+    triangles: 'triangles',
+    materials: 'materials',
+    textureSize: 'px texture',
+    size: 'units wide'
+};
+
+const TEXTURE_SLOTS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'aoMap', 'alphaMap', 'bumpMap'];
+
+let ugcBudgets = loadUgcBudgets();
+const expandedUgcReports = new Set();
+
+function loadUgcBudgets() {
+    const budgets = JSON.parse(JSON.stringify(DEFAULT_UGC_BUDGETS));
+    try {
+        const stored = JSON.parse(localStorage.getItem(UGC_BUDGET_STORAGE_KEY) || '{}');
+        Object.keys(budgets).forEach(key => {
+            ['warn', 'fail'].forEach(level => {
+                const value = Number(stored[key]?.[level]);
+                if (Number.isFinite(value) && value >= 0) budgets[key][level] = value;
+            });
+        });
+    } catch (error) {
+        console.warn('Could not load accessory budgets:', error);
+    }
+    return budgets;
+}
+
+function saveUgcBudgets() {
+    try {
+        localStorage.setItem(UGC_BUDGET_STORAGE_KEY, JSON.stringify(ugcBudgets));
+    } catch (error) {
+        console.warn('Could not save accessory budgets:', error);
+    }
+}
+
+function getTextureFormat(texture, parser) {
+    const association = parser?.associations.get(texture);
+    const textureDef = association && parser.json.textures?.[association.index];
+    const imageDef = textureDef && parser.json.images?.[textureDef.source];
+    if (imageDef?.mimeType) return imageDef.mimeType.replace('image/', '').toUpperCase();
+
+    const extension = imageDef?.uri?.match(/\.(\w+)(?:$|\?)/);
+    return extension ? extension[1].toUpperCase() : 'Unknown';
+}
+
+// plain data only so it survives clone() with the rest of userData
+function inspectAccessory(gltf) {
+    const meshes = [];
+    const materials = new Set();
+    const textures = new Map();
+    let skinned = false;
+
+    gltf.scene.updateMatrixWorld(true);
+    gltf.scene.traverse(child => {
+        if (!child.isMesh || !child.geometry) return;
+
+        const geometry = child.geometry;
+        const vertices = geometry.attributes.position ? geometry.attributes.position.count : 0;
+        const triangles = Math.floor((geometry.index ? geometry.index.count : vertices) / 3);
+        meshes.push({ name: child.name || 'Mesh', triangles, vertices });
+
+        if (child.isSkinnedMesh) skinned = true;
+
+        const meshMaterials = Array.isArray(child.material) ? child.material : [child.material];
+        meshMaterials.filter(Boolean).forEach(material => {
+            materials.add(material.uuid);
+            TEXTURE_SLOTS.forEach(slot => {
+                const texture = material[slot];
+                if (!texture || !texture.image || textures.has(texture.uuid)) return;
+                textures.set(texture.uuid, {
+                    name: texture.name || slot,
+                    width: texture.image.width || 0,
+                    height: texture.image.height || 0,
+                    format: getTextureFormat(texture, gltf.parser)
+                });
+            });
+        });
+    });
+
+    const box = new THREE.Box3().setFromObject(gltf.scene);
+    const size = box.isEmpty() ? new THREE.Vector3() : box.getSize(new THREE.Vector3());
+
+    return {
+        meshes,
+        triangles: meshes.reduce((sum, mesh) => sum + mesh.triangles, 0),
+        vertices: meshes.reduce((sum, mesh) => sum + mesh.vertices, 0),
+        materials: materials.size,
+        textures: [...textures.values()],
+        size: size.toArray(),
+        skinned,
+        animations: (gltf.animations || []).length
+    };
+}
+
+function gradeInspection(inspection) {
+    const values = {
+        triangles: inspection.triangles,
+        materials: inspection.materials,
+        textureSize: Math.max(0, ...inspection.textures.map(t => Math.max(t.width, t.height))),
+        size: Math.max(...inspection.size)
+    };
+
+    const issues = [];
+    Object.entries(values).forEach(([key, value]) => {
+        const budget = ugcBudgets[key];
+        const shown = key === 'size' ? value.toFixed(2) : value.toLocaleString();
+        if (value > budget.fail) {
+            issues.push({ severity: 'error', message: `${shown} ${UGC_BUDGET_LABELS[key]} — over the ${budget.fail.toLocaleString()} limit` });
+        } else if (value > budget.warn) {
+            issues.push({ severity: 'warning', message: `${shown} ${UGC_BUDGET_LABELS[key]} — above ${budget.warn.toLocaleString()}` });
+        }
+    });
+
+    if (inspection.skinned) {
+        issues.push({ severity: 'warning', message: 'Has skinning — accessories are rigid on Polytoria' });
+    }
+    if (inspection.animations > 0) {
+        issues.push({ severity: 'warning', message: `Has ${inspection.animations} animation(s) — they won't play` });
+    }
+
+    const status = issues.some(i => i.severity === 'error') ? 'fail'
+        : issues.length > 0 ? 'warn'
+        : 'pass';
+    return { status, issues };
+}
+
+function buildInspectionReport(inspection) {
+    const report = document.createElement('div');
+    report.className = 'report-list ugc-report';
+
+    const addRow = (severity, name, detail) => {
+        const row = document.createElement('div');
+        row.className = `report-item ${severity}`;
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'report-name';
+        nameSpan.textContent = name;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.className = 'report-detail';
+        detailSpan.textContent = detail;
+
+        row.appendChild(nameSpan);
+        row.appendChild(detailSpan);
+        report.appendChild(row);
+    };
+
+    gradeInspection(inspection).issues.forEach(issue => {
+        addRow(issue.severity, issue.severity === 'error' ? '✕' : '!', issue.message);
+    });
+
+    inspection.meshes.forEach(mesh => {
+        addRow('', sanitizeFilename(mesh.name), `${mesh.triangles.toLocaleString()} tris · ${mesh.vertices.toLocaleString()} verts`);
+    });
+    addRow('', 'Total', `${inspection.triangles.toLocaleString()} tris · ${inspection.vertices.toLocaleString()} verts`);
+    addRow('', 'Materials', String(inspection.materials));
+
+    if (inspection.textures.length === 0) {
+        addRow('', 'Textures', 'None');
+    }
+    inspection.textures.forEach(texture => {
+        addRow('', sanitizeFilename(texture.name), `${texture.width}×${texture.height} ${texture.format}`);
+    });
+
+    addRow('', 'Bounds', inspection.size.map(v => v.toFixed(2)).join(' × '));
+    addRow('', 'Skinning', inspection.skinned ? 'Yes' : 'No');
+    addRow('', 'Animations', String(inspection.animations));
+
+    return report;
+}
+
+function syncBudgetFields() {
+    document.querySelectorAll('input[data-budget]').forEach(input => {
+        input.value = ugcBudgets[input.dataset.budget][input.dataset.level];
+    });
+}
+
+// serves a model's external files (.bin, .mtl, textures) from the dropped files;
+// anything else, including remote URLs, resolves to nothing and is reported as missing
+function createResourceResolver(resources) {
+    const urls = new Map();
+    const missing = new Set();
+    const manager = new THREE.LoadingManager();
+
+    manager.setURLModifier(url => {
+        if (/^(data|blob):/i.test(url)) return url;
+
+        let name = url.split(/[\\/]/).pop().split(/[?#]/)[0];
+        try {
+            name = decodeURIComponent(name);
+        } catch (e) {
+            // keep the raw name
+        }
+
+        const file = resources.get(name.toLowerCase());
+        if (!file) {
+            missing.add(sanitizeFilename(name));
+            return 'data:,';
+        }
+        if (!urls.has(file)) urls.set(file, safeCreateObjectURL(file));
+        return urls.get(file) || 'data:,';
+    });
+
+    return {
+        manager,
+        missing,
+        dispose: () => urls.forEach(url => safeRevokeObjectURL(url))
+    };
+}
+
+function missingResourceError(resolver, fallback) {
+    return resolver.missing.size > 0
+        ? new Error(`Missing file(s): ${[...resolver.missing].join(', ')}`)
+        : new Error(fallback);
+}
+
+async function loadGltfSource(file, resources) {
+    const ext = getFileExtension(file.name);
+    const contents = await readFileAs(file, ext === 'gltf' ? 'text' : 'arrayBuffer');
+
+    if (ext === 'gltf') {
+        try {
+            if (typeof JSON.parse(contents).asset !== 'object') throw new Error();
+        } catch (e) {
+            throw new Error('File is not a valid glTF file');
+        }
+    }
+
+    const resolver = createResourceResolver(resources);
+    try {
+        return await new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => reject(new Error('Model load timeout')), FILE_LOAD_TIMEOUT);
+            new THREE.GLTFLoader(resolver.manager).parse(contents, '', (gltf) => {
+                clearTimeout(timeoutId);
+                resolve(gltf);
+            }, () => {
+                clearTimeout(timeoutId);
+                reject(missingResourceError(resolver, `Failed to parse ${ext.toUpperCase()} file`));
+            });
+        });
+    } finally {
+        resolver.dispose();
+    }
+}
+
+async function loadObjSource(file, resources) {
+    const text = await readFileAs(file, 'text');
+    if (!/^\s*v\s/m.test(text)) {
+        throw new Error('File is not a valid OBJ file');
+    }
+
+    // prefer the mtllib the OBJ asks for, otherwise a lone .mtl that came with it
+    const mtlName = text.match(/^\s*mtllib\s+(.+?)\s*$/m)?.[1].split(/[\\/]/).pop().toLowerCase();
+    const mtlFiles = [...new Set(resources.values())].filter(f => getFileExtension(f.name) === 'mtl');
+    const mtlFile = (mtlName && resources.get(mtlName)) || (mtlFiles.length === 1 ? mtlFiles[0] : null);
+
+    const resolver = createResourceResolver(resources);
+    try {
+        const loader = new THREE.OBJLoader();
+
+        if (mtlFile) {
+            const mtlText = await readFileAs(mtlFile, 'text');
+            const materials = new THREE.MTLLoader(resolver.manager).parse(mtlText, '');
+
+            let started = false;
+            const texturesLoaded = new Promise(resolve => {
+                resolver.manager.onStart = () => { started = true; };
+                resolver.manager.onLoad = resolve;
+            });
+            materials.preload();
+            if (started) {
+                await Promise.race([texturesLoaded, new Promise(resolve => setTimeout(resolve, FILE_LOAD_TIMEOUT))]);
+            }
+            loader.setMaterials(materials);
+        } else if (mtlName) {
+            resolver.missing.add(sanitizeFilename(mtlName));
+        }
+
+        const scene = loader.parse(text);
+        if (resolver.missing.size > 0) {
+            throw missingResourceError(resolver, 'Failed to parse OBJ file');
+        }
+        return { scene, animations: [] };
+    } finally {
+        resolver.dispose();
+    }
+}
+
+// inflates one zip entry, giving up as soon as it passes maxBytes. the header's declared
+// size can lie, so the inflated bytes are counted instead — a zip bomb is never
+// decompressed in full
+function readZipEntry(entry, maxBytes, tooLargeMessage) {
+    const name = entry.name.split('/').pop();
+    const tooLarge = () => new Error(tooLargeMessage ||
+        `${sanitizeFilename(name)} is too large! Maximum size is ${maxBytes / 1024 / 1024}MB`);
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let settled = false;
+        const stream = entry.internalStream('uint8array');
+
+        stream.on('data', chunk => {
+            if (settled) return;
+            size += chunk.length;
+            if (size > maxBytes) {
+                settled = true;
+                stream.pause();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        }).on('error', error => {
+            if (!settled) reject(error);
+            settled = true;
+        }).on('end', () => {
+            if (!settled) resolve(new File(chunks, name));
+            settled = true;
+        }).resume();
+    });
+}
+
+// a ZIP holds exactly one model plus the files it references
+async function loadZipSource(file) {
+    await loadJSZip();
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new Error('Could not read ZIP archive');
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'));
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`ZIP has too many files (maximum ${MAX_ZIP_ENTRIES})`);
+    }
+
+    const resources = new Map();
+    const models = [];
+    let totalSize = 0;
+
+    for (const entry of entries) {
+        const name = entry.name.split('/').pop();
+        const ext = getFileExtension(name);
+        const isModel = ['glb', 'gltf', 'obj'].includes(ext);
+        if (!isModel && !UGC_RESOURCE_EXTENSIONS.includes(ext)) continue;
+
+        const extracted = await readZipEntry(entry, MAX_FILE_SIZE - totalSize,
+            `ZIP contents too large! Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB`);
+        totalSize += extracted.size;
+
+        await validateUgcFile(extracted);
+        if (isModel) {
+            models.push(extracted);
+        } else {
+            resources.set(name.toLowerCase(), extracted);
+        }
+    }
+
+    if (models.length === 0) throw new Error('ZIP contains no .glb, .gltf or .obj model');
+    if (models.length > 1) throw new Error('ZIP contains more than one model');
+
+    return loadUgcSource(models[0], resources);
+}
+
+// every format ends up as a gltf-like { scene, animations } so validation is shared
+function loadUgcSource(file, resources) {
+    switch (getFileExtension(file.name)) {
+        case 'glb':
+        case 'gltf':
+            return loadGltfSource(file, resources);
+        case 'obj':
+            return loadObjSource(file, resources);
+        case 'zip':
+            return loadZipSource(file);
+        default:
+            throw new Error('Unsupported accessory format');
+    }
+}
+
+// resolves with the prepared accessory without adding it, so several files can parse at once
+async function parseUgcFile(file, resources = new Map()) {
+    await validateUgcFile(file);
+    const gltf = await loadUgcSource(file, resources);
+
+    validateGLTFModel(gltf);
+
+    const accessory = gltf.scene;
+    accessory.traverse(child => {
+        if (child.isMesh) {
+            child.userData.isUGC = true;
+            child.castShadow = true;
+            
+            // remove any custom shaders that weren't marked safe
+            if (child.material && child.material.onBeforeCompile) {
+                if (!child.material.userData.allowedShader) {
+                    delete child.material.onBeforeCompile;
+                }
+            }
+        }
+    });
+
+    accessory.userData.fileName = sanitizeFilename(file.name);
+    accessory.userData.inspection = inspectAccessory(gltf);
+    getUgcMaterials(accessory).forEach(rememberUgcMaterial);
+    return accessory;
+}
+
+function equipUgc(accessory) {
+    if (!polyModel) throw new Error('Please load a character model first!');
+    if (equippedUgc.length >= MAX_UGC_ITEMS) throw new Error(`All ${MAX_UGC_ITEMS} accessory slots are full`);
+
+    accessory.userData.ugcId = nextUgcId++;
+    storeOriginalTransform(accessory);
+    polyModel.add(accessory);
+    equippedUgc.push(accessory);
+    renderUgcList();
+}
+
+function renderReportRows(reportId, rows) {
+    const report = document.getElementById(reportId);
+    if (!report) return;
+
+    report.innerHTML = '';
+    rows.forEach(row => {
+        const item = document.createElement('div');
+        item.className = `report-item ${row.severity}`;
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'report-name';
+        nameSpan.textContent = row.name;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.className = 'report-detail';
+        detailSpan.textContent = row.detail;
+        detailSpan.title = row.detail;
+
+        item.appendChild(nameSpan);
+        item.appendChild(detailSpan);
+        report.appendChild(item);
+    });
+}
+
+async function loadUgcFiles(files) {
+    if (!polyModel) {
+        updateStatus('Please load a character model first!', 'error');
+        return;
+    }
+
+    const models = files.filter(file => UGC_MODEL_EXTENSIONS.includes(getFileExtension(file.name)));
+    const resourceFiles = files.filter(file => !models.includes(file));
+    if (models.length === 0) {
+        updateStatus('Add a .glb, .gltf, .obj or .zip model along with its files', 'error');
+        return;
+    }
+
+    const resources = new Map();
+    const resourceRows = [];
+    await Promise.all(resourceFiles.map(async file => {
+        try {
+            await validateUgcFile(file);
+            resources.set(file.name.toLowerCase(), file);
+        } catch (error) {
+            resourceRows.push({ name: sanitizeFilename(file.name), severity: 'error', detail: error.message });
+        }
+    }));
+
+    const freeSlots = Math.max(0, MAX_UGC_ITEMS - equippedUgc.length);
+    const rows = models.map((file, index) => ({
+        name: sanitizeFilename(file.name),
+        severity: index < freeSlots ? '' : 'error',
+        detail: index < freeSlots ? 'Loading...' : `Skipped — only ${MAX_UGC_ITEMS} accessories fit`
+    }));
+    rows.push(...resourceRows);
+    const queued = models.slice(0, freeSlots);
+
+    if (queued.length === 0) {
+        renderReportRows('ugcImportReport', rows);
+        updateStatus(`Maximum ${MAX_UGC_ITEMS} accessories reached!`, 'error');
+        return;
+    }
+
+    let done = 0;
+    const progress = () => updateStatus(`Loading accessories ${done}/${queued.length}...`, 'loading');
+    renderReportRows('ugcImportReport', rows);
+    progress();
+
+    await Promise.all(queued.map(async (file, index) => {
+        const row = rows[index];
+        try {
+            const accessory = await parseUgcFile(file, resources);
+            equipUgc(accessory);
+            row.added = true;
+            keepUploadInWardrobe(file, 'accessory', accessory.clone());
+
+            const grade = gradeInspection(accessory.userData.inspection);
+            row.severity = grade.status === 'pass' ? 'success' : grade.status === 'fail' ? 'error' : 'warning';
+            row.detail = grade.status === 'pass' ? 'Added' : `Added — ${grade.issues.length} budget issue(s)`;
+        } catch (error) {
+            console.error('UGC load error:', error);
+            row.severity = 'error';
+            row.detail = error.message;
+        }
+
+        done++;
+        renderReportRows('ugcImportReport', rows);
+        progress();
+    }));
+
+    const added = rows.filter(row => row.added).length;
+    const failed = models.length - added + resourceRows.length;
+    if (failed === 0) {
+        updateStatus(added === 1 ? 'Accessory added!' : `${added} accessories added!`, 'success');
+    } else {
+        updateStatus(`Added ${added} of ${models.length} accessories — see the list for details`, added > 0 ? 'info' : 'error');
+    }
+}
+
+async function loadJSZip() {
+    if (typeof JSZip !== 'undefined') return;
+
+    const script = document.createElement('script');
+    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+    script.integrity = 'sha384-+mbV2IY1Zk/X1p/nWllGySJSUN8uMs+gUAN10Or95UBH0fpj6GfKgPmgC5EXieXG';
+    script.crossOrigin = 'anonymous';
+    document.head.appendChild(script);
+    await new Promise((resolve, reject) => {
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('Failed to load JSZip'));
+    });
+}
+
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('Failed to encode image'));
+        }, 'image/png', 1.0);
+    });
+}
+
+function downloadBlob(blob, fileName) {
+    const url = safeCreateObjectURL(blob);
+    if (!url) return false;
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => safeRevokeObjectURL(url), 100);
+    return true;
+}
+
+function getTextureCategory(texture, meshName) {
+    if (texture === converterPreview?.texture) return 'preview';
+    if (texture === faceTexture) return 'face';
+    const category = Object.keys(activeTextures).find(key => activeTextures[key] === texture);
+    if (category) return category;
+
+    const name = meshName.toLowerCase();
+    return Object.keys(BODY_PARTS).find(key => BODY_PARTS[key].some(part => name.includes(part))) || 'body';
+}
+
+function getUgcRoot(object) {
+    for (let o = object; o; o = o.parent) {
+        if (o.userData.ugcId) return o;
+    }
+    return null;
+}
+
+// one entry per texture object, however many meshes share it
+function collectExportTextures() {
+    const entries = new Map();
+
+    polyModel.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((mat) => {
+            const texture = mat.map;
+            if (!texture || !texture.image) return;
+
+            if (!entries.has(texture)) {
+                const accessory = child.userData.isUGC ? getUgcRoot(child) : null;
+                const category = accessory ? 'accessory' : getTextureCategory(texture, child.name);
+                const layers = (textureLayers[category] || []).filter(layer => layer.visible).map(layer => layer.name);
+
+                entries.set(texture, {
+                    texture,
+                    category,
+                    accessory: accessory ? accessory.userData.fileName || 'Accessory' : null,
+                    source: accessory
+                        ? texture.name || accessory.userData.fileName || null
+                        : category === 'preview' ? converterPreview.outputName : layers[layers.length - 1] || null,
+                    layers: accessory ? [] : layers,
+                    meshes: []
+                });
+            }
+
+            const meshes = entries.get(texture).meshes;
+            if (!meshes.includes(child.name)) meshes.push(child.name);
+        });
+    });
+
+    return [...entries.values()];
+}
+
+function getExportTextureName(entry) {
+    if (entry.category !== 'accessory') return `${entry.category}.png`;
+    const base = entry.accessory.replace(/\.[^.]+$/, '');
+    return `accessory_${sanitizeFilename(base)}.png`;
+}
+
+async function downloadTexturesZip() {
+    if (!polyModel) {
+        updateStatus("Please load a character first!", "error");
+        return;
+    }
+    
+    updateStatus("Preparing ZIP Archive...", "loading");
+
+    try {
+        await loadJSZip();
+
+        const zip = new JSZip();
+        const textureFolder = zip.folder("textures");
+        const usedNames = new Set();
+        const manifest = { version: 1, textures: [] };
+
+        for (const entry of collectExportTextures()) {
+            try {
+                const img = entry.texture.image;
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                canvas.getContext('2d').drawImage(img, 0, 0);
+
+                const fileName = uniqueFileName(getExportTextureName(entry), usedNames);
+                textureFolder.file(fileName, await canvasToBlob(canvas));
+
+                manifest.textures.push({
+                    file: `textures/${fileName}`,
+                    category: entry.category,
+                    accessory: entry.accessory,
+                    meshes: entry.meshes,
+                    width: canvas.width,
+                    height: canvas.height,
+                    source: entry.source,
+                    layers: entry.layers
+                });
+            } catch (e) {
+                console.warn(`Could not extract texture:`, e);
+            }
+        }
+
+        if (manifest.textures.length === 0) {
+            updateStatus("No textures found to export", "error");
+            return;
+        }
+
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        const content = await zip.generateAsync({type: "blob"});
+        
+        if (!downloadBlob(content, "character_textures.zip")) {
+            updateStatus("Failed to create download", "error");
+            return;
+        }
+        
+        updateStatus(`ZIP Downloaded! (${manifest.textures.length} textures)`, "success");
+    } catch (error) {
+        updateStatus("ZIP export failed", "error");
+        console.error('ZIP error:', error);
+    }
+}
+
+// the skin shader can't be exported, so skin colour goes under the clothing in a real texture
+function bakeSkinTexture(material, cache) {
+    const image = material.map.image;
+    const skinHex = `#${material.skinColor.clone().convertLinearToSRGB().getHexString()}`;
+    const key = `${material.map.uuid}:${skinHex}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = skinHex;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = material.map.flipY;
+    texture.encoding = THREE.sRGBEncoding;
+    texture.wrapS = material.map.wrapS;
+    texture.wrapT = material.map.wrapT;
+    cache.set(key, texture);
+    return texture;
+}
+
+// textured keeps the look of the preview; geometry gives every body part plain white
+function buildExportModel(mode, includeHidden = false) {
+    const exportModel = polyModel.clone();
+    const bakedTextures = new Map();
+
+    // hidden accessories are either dropped or shown, so every exporter agrees
+    const hiddenUgc = [];
+    exportModel.traverse(child => {
+        if (child.userData.ugcId && !child.visible) hiddenUgc.push(child);
+    });
+    hiddenUgc.forEach(child => {
+        if (includeHidden) child.visible = true;
+        else child.parent.remove(child);
+    });
+
+    exportModel.traverse((child) => {
+        // accessories keep their own (possibly edited) materials
+        if (!child.isMesh || child.userData.isUGC) return;
+
+        const source = child.material;
+        if (mode === 'geometry') {
+            child.material = new THREE.MeshStandardMaterial({
+                color: 0xffffff,
+                roughness: 0.8,
+                metalness: 0.1
+            });
+        } else if (source.skinColor && source.map?.image) {
+            child.material = new THREE.MeshStandardMaterial({
+                color: 0xffffff,
+                roughness: source.roughness,
+                metalness: source.metalness,
+                map: bakeSkinTexture(source, bakedTextures)
+            });
+        } else {
+            child.material = new THREE.MeshStandardMaterial({
+                color: source.skinColor ? source.skinColor.clone() : source.color.clone(),
+                roughness: source.roughness,
+                metalness: source.metalness
+            });
+        }
+        child.material.name = child.name;
+    });
+
+    return exportModel;
+}
+
+// OBJ expects v = 0 at the bottom, glTF-style textures have it at the top
+async function textureToPng(texture) {
+    const image = texture.image;
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    if (!texture.flipY) {
+        ctx.translate(0, canvas.height);
+        ctx.scale(1, -1);
+    }
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvasToBlob(canvas);
+}
+
+function collectMeshes(object) {
+    const meshes = [];
+    object.traverse(child => {
+        if (child.isMesh) meshes.push(child);
+    });
+    return meshes;
+}
+
+// OBJExporter writes a single usemtl per mesh, so a mesh with material groups is
+// replaced by one mesh per group, each with its own material
+function splitMaterialGroups(mesh) {
+    const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+    const getters = ['getX', 'getY', 'getZ', 'getW'];
+
+    const pieces = geometry.groups.map((group, index) => {
+        const count = Math.min(group.count, geometry.attributes.position.count - group.start);
+        const part = new THREE.BufferGeometry();
+        Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+            const size = attribute.itemSize;
+            const array = new attribute.array.constructor(count * size);
+            for (let i = 0; i < count; i++) {
+                for (let k = 0; k < size; k++) array[i * size + k] = attribute[getters[k]](group.start + i);
+            }
+            part.setAttribute(name, new THREE.BufferAttribute(array, size, attribute.normalized));
+        });
+
+        const piece = new THREE.Mesh(part, mesh.material[group.materialIndex] || mesh.material[0]);
+        piece.name = `${mesh.name}_${index}`;
+        piece.position.copy(mesh.position);
+        piece.quaternion.copy(mesh.quaternion);
+        piece.scale.copy(mesh.scale);
+        return piece;
+    });
+
+    pieces.forEach(piece => mesh.parent.add(piece));
+    mesh.parent.remove(mesh);
+}
+
+async function exportObjZip(exportModel) {
+    await loadJSZip();
+
+    collectMeshes(exportModel)
+        .filter(child => Array.isArray(child.material) && child.geometry.groups.length > 0)
+        .forEach(splitMaterialGroups);
+    exportModel.updateMatrixWorld(true);
+
+    const zip = new JSZip();
+    const usedNames = new Set();
+    const usedTextureNames = new Set();
+    const copies = new Map();
+    const textureFiles = new Map();
+    const mtl = [];
+
+    // materials are copied before renaming, accessory ones are shared with the live scene
+    for (const child of collectMeshes(exportModel)) {
+        const source = Array.isArray(child.material) ? child.material[0] : child.material;
+        if (!copies.has(source)) {
+            const material = source.clone();
+            material.name = uniqueFileName(sanitizeFilename(source.name || child.name || 'material'), usedNames);
+            copies.set(source, material);
+
+            const color = material.color || new THREE.Color(0xffffff);
+            mtl.push(
+                `newmtl ${material.name}`,
+                `Kd ${color.r.toFixed(4)} ${color.g.toFixed(4)} ${color.b.toFixed(4)}`,
+                'Ka 0 0 0',
+                'Ks 0 0 0',
+                `d ${(material.opacity ?? 1).toFixed(4)}`,
+                'illum 1'
+            );
+
+            if (material.map?.image) {
+                if (!textureFiles.has(material.map)) {
+                    const fileName = `textures/${uniqueFileName(`${material.name}.png`, usedTextureNames)}`;
+                    textureFiles.set(material.map, fileName);
+                    zip.file(fileName, await textureToPng(material.map));
+                }
+                mtl.push(`map_Kd ${textureFiles.get(material.map)}`);
+            }
+            mtl.push('');
+        }
+        child.material = copies.get(source);
+    }
+
+    const obj = new THREE.OBJExporter().parse(exportModel);
+    zip.file('character.obj', `mtllib character.mtl\n${obj}`);
+    zip.file('character.mtl', mtl.join('\n'));
+    return zip.generateAsync({ type: 'blob' });
+}
+
+async function downloadGeometry() {
+    if (!polyModel) {
+        updateStatus("Please load a character first!", "error");
+        return;
+    }
+    
+    const mode = document.querySelector('input[name="exportMode"]:checked')?.value === 'geometry' ? 'geometry' : 'textured';
+    const format = document.getElementById('exportFormat')?.value || 'glb';
+    const includeHidden = document.getElementById('exportHiddenUgc')?.checked ?? false;
+
+    if (format === 'obj' || format === 'stl') {
+        updateStatus(`Exporting ${format.toUpperCase()}...`, "loading");
+        try {
+            // the exporters bake matrixWorld into the vertices
+            const exportModel = buildExportModel(mode, includeHidden);
+            exportModel.updateMatrixWorld(true);
+
+            const blob = format === 'obj'
+                ? await exportObjZip(exportModel)
+                : new Blob([new THREE.STLExporter().parse(exportModel, { binary: true })], { type: 'model/stl' });
+
+            if (!downloadBlob(blob, format === 'obj' ? 'character_obj.zip' : 'character.stl')) {
+                updateStatus("Failed to create download", "error");
+                return;
+            }
+            updateStatus(`${format.toUpperCase()} downloaded!`, "success");
+        } catch (error) {
+            updateStatus("Export failed", "error");
+            console.error('Export error:', error);
+        }
+        return;
+    }
+
+    updateStatus(mode === 'geometry' ? "Exporting geometry..." : "Exporting textured character...", "loading");
+
+    try {
+        const exporter = new THREE.GLTFExporter();
+        const exportScene = new THREE.Scene();
+        exportScene.add(buildExportModel(mode, includeHidden));
+
+        exporter.parse(
+            exportScene,
+            (result) => {
+                const blob = new Blob([result], { type: 'application/octet-stream' });
+                const fileName = mode === 'geometry' ? "character_geometry.glb" : "character.glb";
+                
+                if (!downloadBlob(blob, fileName)) {
+                    updateStatus("Failed to create download", "error");
+                    return;
+                }
+                
+                updateStatus(mode === 'geometry' ? "Geometry downloaded!" : "Character downloaded!", "success");
+            },
+            (err) => {
+                console.error("Export error:", err);
+                updateStatus("Export failed", "error");
+            },
+            { binary: true }
+        );
+    } catch (error) {
+        updateStatus("Export failed", "error");
+        console.error('Export error:', error);
+    }
+}
+
+const OUTFIT_FORMAT = 'polytoria-avatar-outfit';
+const OUTFIT_VERSION = 1;
+const MAX_OUTFIT_LAYERS = 32;
+const MAX_OUTFIT_SIZE = MAX_FILE_SIZE * (MAX_UGC_ITEMS + 1);
+const MAX_OUTFIT_JSON_SIZE = 1024 * 1024;
+
+function exportObjectGlb(objects) {
+    return new Promise((resolve, reject) => {
+        new THREE.GLTFExporter().parse(objects, resolve, reject, { binary: true });
+    });
+}
+
+async function saveOutfit() {
+    if (!polyModel) {
+        updateStatus("Please load a character first!", "error");
+        return;
+    }
+
+    updateStatus("Saving outfit...", "loading");
+
+    try {
+        await loadJSZip();
+        const zip = new JSZip();
+        const usedNames = new Set();
+
+        const state = {
+            format: OUTFIT_FORMAT,
+            version: OUTFIT_VERSION,
+            rig: {
+                gender: document.querySelector('input[name="characterGender"]:checked')?.value ?? 'male',
+                type: document.querySelector('input[name="rigType"]:checked')?.value ?? 'new'
+            },
+            colors: {
+                skinTone: `#${currentSkinTone.getHexString()}`,
+                background: document.getElementById('bgColor')?.value || '#0a0a0a',
+                bodyParts: Object.fromEntries(Object.keys(bodyColors).map(part => [part, `#${bodyColors[part].getHexString()}`]))
+            },
+            showGrid: gridHelper.visible,
+            layers: {},
+            accessories: []
+        };
+
+        for (const category of Object.keys(textureLayers)) {
+            state.layers[category] = [];
+            for (const layer of textureLayers[category]) {
+                const base = sanitizeFilename(layer.name).replace(/\.[^.]+$/, '');
+                const file = `layers/${uniqueFileName(`${category}_${base}.png`, usedNames)}`;
+                zip.file(file, await canvasToBlob(layer.image));
+
+                const entry = { file, name: layer.name, opacity: layer.opacity, visible: layer.visible };
+                if (layer.transform) entry.transform = { ...layer.transform };
+                if (layer.isDefaultFace) entry.isDefaultFace = true;
+                state.layers[category].push(entry);
+            }
+        }
+
+        // accessories go out as GLBs with their current (edited) materials; the placement
+        // lives in the JSON, so only the accessory's children are exported, not its own transform
+        for (const item of equippedUgc) {
+            const base = (item.userData.fileName || 'accessory').replace(/\.[^.]+$/, '');
+            const file = `accessories/${uniqueFileName(`${sanitizeFilename(base)}.glb`, usedNames)}`;
+            zip.file(file, await exportObjectGlb(item.children));
+
+            state.accessories.push({
+                file,
+                name: item.userData.fileName || 'Accessory',
+                position: item.position.toArray(),
+                rotation: item.rotation.toArray().slice(0, 3),
+                scale: item.scale.toArray(),
+                attachPoint: item.userData.attachPoint || null,
+                visible: item.visible !== false,
+                originalTransform: item.userData.originalTransform || null
+            });
+        }
+
+        zip.file('outfit.json', JSON.stringify(state, null, 2));
+        const blob = await zip.generateAsync({ type: 'blob' });
+        if (!downloadBlob(blob, 'outfit.zip')) {
+            updateStatus("Failed to create download", "error");
+            return;
+        }
+        updateStatus("Outfit saved!", "success");
+    } catch (error) {
+        updateStatus("Saving outfit failed", "error");
+        console.error('Outfit save error:', error);
+    }
+}
+
+// validates untrusted outfit JSON into the shape openOutfit applies
+function parseOutfitState(data) {
+    if (!data || typeof data !== 'object' || data.format !== OUTFIT_FORMAT) {
+        throw new Error('Not an outfit file');
+    }
+    if (data.version !== OUTFIT_VERSION) {
+        throw new Error(`Unsupported outfit version ${data.version}`);
+    }
+
+    const isHex = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    const isFile = value => typeof value === 'string' && value.length > 0 && value.length <= 255 && !value.includes('..');
+
+    if (!['male', 'female'].includes(data.rig?.gender) || !['new', 'legacy'].includes(data.rig?.type)) {
+        throw new Error('Outfit has an unknown rig');
+    }
+
+    const colors = data.colors || {};
+    if (!isHex(colors.skinTone) || !isHex(colors.background)) {
+        throw new Error('Outfit colours must be #rrggbb');
+    }
+    const bodyParts = {};
+    Object.keys(BODY_COLOR_PARTS).forEach(part => {
+        bodyParts[part] = isHex(colors.bodyParts?.[part]) ? colors.bodyParts[part] : colors.skinTone;
+    });
+
+    const layers = {};
+    Object.keys(textureLayers).forEach(category => {
+        const list = data.layers?.[category] ?? [];
+        if (!Array.isArray(list) || list.length > MAX_OUTFIT_LAYERS) {
+            throw new Error(`"${category}" must be a list of at most ${MAX_OUTFIT_LAYERS} layers`);
+        }
+
+        layers[category] = list.map((layer, index) => {
+            if (!isFile(layer?.file)) throw new Error(`${category} layer ${index + 1} has no file`);
+
+            const opacity = Number(layer.opacity);
+            const parsed = {
+                file: layer.file,
+                name: sanitizeFilename(String(layer.name || `Layer ${index + 1}`)),
+                opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1,
+                visible: layer.visible !== false
+            };
+
+            if (layer.isDefaultFace !== undefined && typeof layer.isDefaultFace !== 'boolean') {
+                throw new Error(`${category} layer ${index + 1} has an invalid default-face flag`);
+            }
+            if (layer.isDefaultFace) parsed.isDefaultFace = true;
+
+            const t = layer.transform;
+            if (t) {
+                if (![t.x, t.y, t.scale, t.rotation].every(Number.isFinite) || t.scale <= 0) {
+                    throw new Error(`${category} layer ${index + 1} has an invalid transform`);
+                }
+                parsed.transform = { x: t.x, y: t.y, scale: t.scale, rotation: t.rotation };
+            }
+            return parsed;
+        });
+    });
+
+    const accessories = data.accessories ?? [];
+    if (!Array.isArray(accessories) || accessories.length > MAX_UGC_ITEMS) {
+        throw new Error(`An outfit holds at most ${MAX_UGC_ITEMS} accessories`);
+    }
+
+    return {
+        rig: { gender: data.rig.gender, type: data.rig.type },
+        colors: { skinTone: colors.skinTone, background: colors.background, bodyParts },
+        showGrid: data.showGrid !== false,
+        layers,
+        accessories: accessories.map((item, index) => {
+            if (!isFile(item?.file) || !isVector(item.position) || !isVector(item.rotation) || !isVector(item.scale)) {
+                throw new Error(`Accessory ${index + 1} is missing its file or transform`);
+            }
+
+            const attach = item.attachPoint;
+            let attachPoint = null;
+            if (attach && ATTACH_PRESETS[attach.preset]) attachPoint = { preset: attach.preset };
+            else if (attach && typeof attach.node === 'string') attachPoint = { node: attach.node.slice(0, 255) };
+
+            const original = item.originalTransform;
+            return {
+                file: item.file,
+                name: sanitizeFilename(String(item.name || `Accessory ${index + 1}`)),
+                position: item.position,
+                rotation: item.rotation,
+                scale: item.scale,
+                attachPoint,
+                visible: item.visible !== false,
+                originalTransform: original && isVector(original.position) && isVector(original.rotation) && isVector(original.scale)
+                    ? { position: original.position, rotation: original.rotation, scale: original.scale }
+                    : null
+            };
+        })
+    };
+}
+
+async function openOutfit(file) {
+    if (file.size > MAX_OUTFIT_SIZE) {
+        throw new Error(`Outfit too large! Maximum size is ${MAX_OUTFIT_SIZE / 1024 / 1024}MB`);
+    }
+    if (!(await validateFileSignature(file, ['zip']))) {
+        throw new Error('File is not an outfit ZIP. Possible file spoofing detected.');
+    }
+
+    updateStatus('Opening outfit...', 'loading');
+    await loadJSZip();
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new Error('Could not read outfit file');
+    }
+
+    const manifest = zip.file('outfit.json');
+    if (!manifest) throw new Error('Outfit is missing outfit.json');
+
+    const manifestText = await readFileAs(await readZipEntry(manifest, MAX_OUTFIT_JSON_SIZE), 'text');
+    let state;
+    try {
+        state = parseOutfitState(JSON.parse(manifestText));
+    } catch (error) {
+        throw new Error(error instanceof SyntaxError ? 'outfit.json is not valid JSON' : error.message);
+    }
+
+    // entries are size-checked while inflating, before the upload checks see them
+    const readEntry = (path, maxBytes) => {
+        const entry = zip.file(path);
+        if (!entry) throw new Error(`Missing ${sanitizeFilename(path)}`);
+        return readZipEntry(entry, maxBytes);
+    };
+
+    // everything is loaded and validated before the avatar is touched
+    const layers = {};
+    for (const category of Object.keys(state.layers)) {
+        layers[category] = [];
+        for (const layer of state.layers[category]) {
+            const imageFile = await readEntry(layer.file, MAX_IMAGE_SIZE);
+            await validateImageFile(imageFile);
+            const img = await loadImageSafely(imageFile);
+            const restored = {
+                id: nextLayerId++,
+                name: layer.name,
+                image: imageToCanvas(img),
+                opacity: layer.opacity,
+                visible: layer.visible
+            };
+            safeRevokeObjectURL(img.src);
+            if (layer.transform) restored.transform = layer.transform;
+            if (layer.isDefaultFace) restored.isDefaultFace = true;
+            layers[category].push(restored);
+        }
+    }
+
+    // a broken accessory is reported and skipped, like a bad file in a bulk import
+    const rows = state.accessories.map(item => ({ name: item.name, severity: 'success', detail: 'Restored' }));
+    const accessories = await Promise.all(state.accessories.map(async (item, index) => {
+        try {
+            return await parseUgcFile(await readEntry(item.file, MAX_FILE_SIZE));
+        } catch (error) {
+            console.error('Outfit accessory error:', error);
+            rows[index] = { name: item.name, severity: 'error', detail: error.message };
+            return null;
+        }
+    }));
+
+    // appearance, through the same inputs a user would change
+    document.querySelector(`input[name="characterGender"][value="${state.rig.gender}"]`).checked = true;
+    document.querySelector(`input[name="rigType"][value="${state.rig.type}"]`).checked = true;
+
+    const setColor = (id, value) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.value = value;
+        input.dispatchEvent(new Event('input'));
+    };
+    setColor('skinTone', state.colors.skinTone);
+    Object.entries(state.colors.bodyParts).forEach(([part, value]) => setColor(`${part}Color`, value));
+    setColor('bgColor', state.colors.background);
+
+    const gridToggle = document.getElementById('showGrid');
+    if (gridToggle) {
+        gridToggle.checked = state.showGrid;
+        gridToggle.dispatchEvent(new Event('change'));
+    }
+
+    // current accessories are dropped so the rig load doesn't carry them over
+    transformControls.detach();
+    selectedUgcId = null;
+    equippedUgc.forEach(item => {
+        if (item.parent) item.parent.remove(item);
+    });
+    equippedUgc = [];
+    clearClipHighlight();
+
+    if (!(await loadModelFromPath(getRigPath(state.rig.gender, state.rig.type)))) {
+        throw new Error('Failed to load the outfit\'s rig');
+    }
+
+    clearTextureLayers();
+    Object.keys(layers).forEach(category => {
+        textureLayers[category] = layers[category];
+        compositeTextureLayers(category);
+    });
+    selectedFaceLayerId = [...textureLayers.face].reverse().find(layer => layer.transform)?.id ?? null;
+    refreshModelTextures(true);
+    renderLayerList();
+    hideTemplateLint(true);
+
+    accessories.forEach((accessory, index) => {
+        if (!accessory) return;
+        const item = state.accessories[index];
+
+        equipUgc(accessory);
+        const parent = (item.attachPoint && findAttachNode(polyModel, item.attachPoint)) || polyModel;
+        parent.add(accessory);
+        accessory.position.fromArray(item.position);
+        accessory.rotation.set(...item.rotation);
+        accessory.scale.fromArray(item.scale);
+        accessory.visible = item.visible;
+        accessory.userData.fileName = item.name;
+        accessory.userData.attachPoint = item.attachPoint;
+        if (item.originalTransform) accessory.userData.originalTransform = item.originalTransform;
+    });
+    renderUgcList();
+    renderReportRows('ugcImportReport', rows);
+
+    const failed = rows.filter(row => row.severity === 'error').length;
+    if (failed > 0) {
+        updateStatus(`Outfit opened — ${failed} accessory(s) could not be restored`, 'error');
+    } else {
+        updateStatus('Outfit opened!', 'success');
+    }
+}
+
+const saveOutfitBtn = document.getElementById('saveOutfitBtn');
+if (saveOutfitBtn) {
+    saveOutfitBtn.addEventListener('click', saveOutfit);
+}
+
+const openOutfitBtn = document.getElementById('openOutfitBtn');
+const outfitInput = document.getElementById('outfitInput');
+if (openOutfitBtn && outfitInput) {
+    openOutfitBtn.addEventListener('click', () => outfitInput.click());
+
+    outfitInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        this.value = '';
+        if (!file) return;
+
+        openOutfitBtn.disabled = true;
+        try {
+            await openOutfit(file);
+        } catch (error) {
+            updateStatus(error.message, 'error');
+            console.error('Outfit open error:', error);
+        }
+        openOutfitBtn.disabled = false;
+    });
+}
+
+const WARDROBE_DB_NAME = 'polytoria-avatar-toolkit';
+const WARDROBE_STORE = 'wardrobe';
+const WARDROBE_FORMAT = 'polytoria-avatar-wardrobe';
+const WARDROBE_VERSION = 1;
+const WARDROBE_KEEP_STORAGE_KEY = 'polytoria-wardrobe-keep-uploads';
+const WARDROBE_KINDS = { shirt: 'Shirt', pants: 'Pants', face: 'Face', accessory: 'Accessory' };
+// accessories have to be a single self-contained file to be stored
+const WARDROBE_ACCESSORY_EXTENSIONS = ['glb', 'zip'];
+const WARDROBE_THUMB_SIZE = 128;
+const MAX_WARDROBE_ITEMS = 500;
+const MAX_WARDROBE_TAGS = 12;
+const MAX_WARDROBE_JSON_SIZE = 1024 * 1024;
+
+let wardrobeDbPromise = null;
+let wardrobeItems = [];
+let wardrobeThumbUrls = [];
+let wardrobeQueue = Promise.resolve();
+
+function openWardrobeDb() {
+    if (!wardrobeDbPromise) {
+        wardrobeDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('This browser has no IndexedDB, so the wardrobe is unavailable'));
+                return;
+            }
+
+            const request = indexedDB.open(WARDROBE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(WARDROBE_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Could not open the wardrobe database'));
+        });
+        // a failed open (private browsing, blocked storage) can be retried later
+        wardrobeDbPromise.catch(() => { wardrobeDbPromise = null; });
+    }
+    return wardrobeDbPromise;
+}
+
+// runs one store request in its own transaction and resolves once it has committed
+async function wardrobeRequest(mode, makeRequest) {
+    const db = await openWardrobeDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(WARDROBE_STORE, mode);
+        const request = makeRequest(transaction.objectStore(WARDROBE_STORE));
+        const fail = () => reject(new Error(transaction.error?.name === 'QuotaExceededError'
+            ? 'Browser storage is full — remove some wardrobe items first'
+            : 'Wardrobe storage failed'));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = fail;
+        transaction.onabort = fail;
+    });
+}
+
+function parseWardrobeTags(text) {
+    const tags = String(text || '').split(',')
+        .map(tag => tag.trim().toLowerCase().slice(0, 32))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_WARDROBE_TAGS);
+}
+
+function findWardrobeDuplicate(file, kind) {
+    const name = sanitizeFilename(file.name);
+    return wardrobeItems.find(item => item.kind === kind && item.name === name && item.file.size === file.size);
+}
+
+// same checks as a regular upload; returns what the thumbnail is rendered from
+async function prepareWardrobeFile(file, category) {
+    const ext = getFileExtension(file.name);
+    if (WARDROBE_ACCESSORY_EXTENSIONS.includes(ext)) {
+        return { kind: 'accessory', source: await parseUgcFile(file) };
+    }
+    if (!['png', 'jpg', 'jpeg'].includes(ext)) {
+        throw new Error('Only PNG/JPEG clothing and .glb or .zip accessories can be kept');
+    }
+
+    await validateImageFile(file);
+    const img = await loadImageSafely(file);
+    const canvas = imageToCanvas(img);
+    safeRevokeObjectURL(img.src);
+    return { kind: category, source: canvas };
+}
+
+// only for accessories parsed just for a thumbnail; the clones loadUgcFiles passes in
+// share their geometry and materials with the equipped accessory
+function disposeWardrobeSource(source) {
+    if (!source?.isObject3D) return;
+    source.traverse(child => {
+        if (!child.isMesh) return;
+        child.geometry.dispose();
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+            TEXTURE_SLOTS.forEach(slot => material[slot]?.dispose());
+            material.dispose();
+        });
+    });
+}
+
+// the item is worn by a bare copy of the current rig, so thumbnails match the avatar's colours
+async function renderWardrobeThumbnail(kind, source) {
+    if (!polyModel) return null;
+
+    const rig = polyModel.clone();
+    const equipped = [];
+    rig.traverse(child => {
+        if (child.userData.ugcId !== undefined) equipped.push(child);
+    });
+    equipped.forEach(child => child.parent.remove(child));
+
+    let texture = null;
+    if (kind !== 'accessory') {
+        texture = new THREE.CanvasTexture(source);
+        texture.flipY = false;
+        texture.encoding = THREE.sRGBEncoding;
+    }
+
+    const materials = [];
+    rig.traverse(child => {
+        if (!child.isMesh) return;
+        const meshName = child.name.toLowerCase();
+        const wearsItem = texture && BODY_PARTS[kind].some(part => meshName.includes(part));
+        child.material = createMaterial(getBodyPartColor(child.name), wearsItem ? texture : null);
+        materials.push(child.material);
+    });
+    if (kind === 'accessory') rig.add(source);
+
+    try {
+        return await renderSceneToBlob('threeQuarter', WARDROBE_THUMB_SIZE, WARDROBE_THUMB_SIZE, true, rig);
+    } finally {
+        materials.forEach(material => material.dispose());
+        if (texture) texture.dispose();
+    }
+}
+
+// adds run one at a time so the limit and duplicate checks see every earlier add
+function queueWardrobeTask(task) {
+    const run = wardrobeQueue.then(task);
+    wardrobeQueue = run.catch(() => {});
+    return run;
+}
+
+function addWardrobeItem(file, kind, source, tags = []) {
+    return queueWardrobeTask(() => storeWardrobeItem(file, kind, source, tags));
+}
+
+async function storeWardrobeItem(file, kind, source, tags) {
+    if (wardrobeItems.length >= MAX_WARDROBE_ITEMS) {
+        throw new Error(`The wardrobe holds at most ${MAX_WARDROBE_ITEMS} items`);
+    }
+    if (findWardrobeDuplicate(file, kind)) throw new Error('Already in the wardrobe');
+
+    const item = {
+        kind,
+        name: sanitizeFilename(file.name),
+        tags,
+        file,
+        thumbnail: await renderWardrobeThumbnail(kind, source),
+        added: Date.now()
+    };
+    item.id = await wardrobeRequest('readwrite', store => store.add(item));
+    wardrobeItems.push(item);
+    return item;
+}
+
+// uploads made elsewhere in the app are copied in when "Keep uploads" is on
+function keepUploadInWardrobe(file, kind, source) {
+    if (!document.getElementById('wardrobeKeepUploads')?.checked) return;
+    if (kind === 'accessory' && !WARDROBE_ACCESSORY_EXTENSIONS.includes(getFileExtension(file.name))) return;
+
+    const tags = parseWardrobeTags(document.getElementById('wardrobeTags')?.value);
+    queueWardrobeTask(async () => {
+        // re-uploading something already kept is fine, not an error
+        if (findWardrobeDuplicate(file, kind)) return false;
+        await storeWardrobeItem(file, kind, source, tags);
+        return true;
+    }).then(added => {
+        if (added) renderWardrobe();
+    }).catch(error => {
+        console.error('Wardrobe keep error:', error);
+        updateStatus(`Couldn't keep ${sanitizeFilename(file.name)} in the wardrobe: ${error.message}`, 'error');
+    });
+}
+
+async function addWardrobeFiles(files) {
+    const category = document.getElementById('wardrobeCategory')?.value || 'shirt';
+    const tags = parseWardrobeTags(document.getElementById('wardrobeTags')?.value);
+    const rows = [];
+
+    // one at a time: thumbnails share the render-export renderer
+    for (const file of files) {
+        const row = { name: sanitizeFilename(file.name), severity: 'success' };
+        let prepared = null;
+        try {
+            updateStatus(`Adding ${rows.length + 1}/${files.length} to the wardrobe...`, 'loading');
+            prepared = await prepareWardrobeFile(file, category);
+            await addWardrobeItem(file, prepared.kind, prepared.source, tags);
+            row.detail = `Added as ${WARDROBE_KINDS[prepared.kind]}`;
+        } catch (error) {
+            console.error('Wardrobe add error:', error);
+            row.severity = 'error';
+            row.detail = error.message;
+        } finally {
+            disposeWardrobeSource(prepared?.source);
+        }
+        rows.push(row);
+        renderReportRows('wardrobeReport', rows);
+    }
+
+    renderWardrobe();
+    const added = rows.filter(row => row.severity === 'success').length;
+    if (added === rows.length) {
+        updateStatus(added === 1 ? 'Added to the wardrobe!' : `${added} items added to the wardrobe!`, 'success');
+    } else {
+        updateStatus(`Added ${added} of ${rows.length} items — see the list for details`, added > 0 ? 'info' : 'error');
+    }
+}
+
+async function equipWardrobeItem(item) {
+    const file = new File([item.file], item.name, { type: item.file.type });
+    if (item.kind === 'accessory') {
+        await loadUgcFiles([file]);
+        return;
+    }
+
+    // show the category's layers, as if it had been picked for a normal upload
+    const clothingTypeSelect = document.getElementById('clothingType');
+    if (clothingTypeSelect) clothingTypeSelect.value = item.kind;
+
+    try {
+        await applyClothingFile(file, item.kind);
+    } catch (error) {
+        updateStatus(error.message, 'error');
+    }
+}
+
+async function updateWardrobeTags(item, text) {
+    const previous = item.tags;
+    item.tags = parseWardrobeTags(text);
+    try {
+        await wardrobeRequest('readwrite', store => store.put(item));
+    } catch (error) {
+        item.tags = previous;
+        updateStatus(error.message, 'error');
+    }
+    renderWardrobe();
+}
+
+async function removeWardrobeItem(item) {
+    try {
+        await wardrobeRequest('readwrite', store => store.delete(item.id));
+        wardrobeItems = wardrobeItems.filter(other => other !== item);
+        renderWardrobe();
+        updateStatus('Removed from the wardrobe', 'info');
+    } catch (error) {
+        updateStatus(error.message, 'error');
+    }
+}
+
+// every search word has to appear in the name, kind or tags
+function filterWardrobeItems(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return wardrobeItems.filter(item => {
+        const text = [item.name, item.kind, ...item.tags].join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+}
+
+function renderWardrobe() {
+    const listContainer = document.getElementById('wardrobeList');
+    if (!listContainer) return;
+
+    wardrobeThumbUrls.forEach(url => safeRevokeObjectURL(url));
+    wardrobeThumbUrls = [];
+    listContainer.innerHTML = '';
+
+    const query = document.getElementById('wardrobeSearch')?.value || '';
+    const items = filterWardrobeItems(query);
+
+    const count = document.getElementById('wardrobeCount');
+    if (count) {
+        count.textContent = query.trim()
+            ? `${items.length} of ${wardrobeItems.length} items match`
+            : `${wardrobeItems.length} item(s) stored in this browser`;
+    }
+
+    // newest first
+    [...items].reverse().forEach(item => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'layer-item wardrobe-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'wardrobe-thumb';
+        thumb.alt = WARDROBE_KINDS[item.kind];
+        thumb.title = 'Equip';
+        if (item.thumbnail) {
+            const url = safeCreateObjectURL(item.thumbnail);
+            if (url) {
+                wardrobeThumbUrls.push(url);
+                thumb.src = url;
+            }
+        }
+        thumb.addEventListener('click', () => equipWardrobeItem(item));
+
+        const body = document.createElement('div');
+        body.className = 'wardrobe-body';
+
+        const header = document.createElement('div');
+        header.className = 'layer-header';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'layer-name';
+        nameSpan.textContent = `${item.name} · ${WARDROBE_KINDS[item.kind]}`;
+        nameSpan.title = item.name;
+
+        const controlsDiv = document.createElement('div');
+        controlsDiv.className = 'layer-controls';
+
+        const equipSpan = document.createElement('span');
+        equipSpan.className = 'layer-control';
+        equipSpan.textContent = 'Equip';
+        equipSpan.title = item.kind === 'accessory' ? 'Add to the accessories' : `Layer onto the ${WARDROBE_KINDS[item.kind].toLowerCase()}`;
+        equipSpan.addEventListener('click', () => equipWardrobeItem(item));
+
+        const removeSpan = document.createElement('span');
+        removeSpan.className = 'layer-control danger';
+        removeSpan.textContent = '✕';
+        removeSpan.title = 'Remove from the wardrobe';
+        removeSpan.addEventListener('click', () => removeWardrobeItem(item));
+
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.className = 'text-input wardrobe-tags';
+        tagsInput.value = item.tags.join(', ');
+        tagsInput.placeholder = 'Tags, comma separated';
+        tagsInput.addEventListener('change', () => updateWardrobeTags(item, tagsInput.value));
+
+        controlsDiv.appendChild(equipSpan);
+        controlsDiv.appendChild(removeSpan);
+        header.appendChild(nameSpan);
+        header.appendChild(controlsDiv);
+        body.appendChild(header);
+        body.appendChild(tagsInput);
+        wrapper.appendChild(thumb);
+        wrapper.appendChild(body);
+        listContainer.appendChild(wrapper);
+    });
+}
+
+async function loadWardrobe() {
+    try {
+        wardrobeItems = await wardrobeRequest('readonly', store => store.getAll());
+    } catch (error) {
+        console.warn('Could not open the wardrobe:', error);
+        wardrobeItems = [];
+    }
+    renderWardrobe();
+}
+
+async function exportWardrobe() {
+    if (wardrobeItems.length === 0) {
+        updateStatus("The wardrobe is empty", "error");
+        return;
+    }
+
+    updateStatus("Exporting wardrobe...", "loading");
+
+    try {
+        await loadJSZip();
+        const zip = new JSZip();
+        const usedNames = new Set();
+        const manifest = { format: WARDROBE_FORMAT, version: WARDROBE_VERSION, items: [] };
+
+        // thumbnails aren't exported; they're rendered again on import
+        wardrobeItems.forEach(item => {
+            const file = `items/${uniqueFileName(item.name, usedNames)}`;
+            zip.file(file, item.file);
+            manifest.items.push({ file, kind: item.kind, tags: item.tags });
+        });
+
+        zip.file('wardrobe.json', JSON.stringify(manifest, null, 2));
+        const blob = await zip.generateAsync({ type: 'blob' });
+        if (!downloadBlob(blob, 'wardrobe.zip')) {
+            updateStatus("Failed to create download", "error");
+            return;
+        }
+        updateStatus(`Exported ${wardrobeItems.length} wardrobe item(s)!`, "success");
+    } catch (error) {
+        updateStatus("Wardrobe export failed", "error");
+        console.error('Wardrobe export error:', error);
+    }
+}
+
+async function importWardrobe(file) {
+    if (file.size > MAX_FILE_SIZE * 10) {
+        throw new Error(`Wardrobe too large! Maximum size is ${MAX_FILE_SIZE * 10 / 1024 / 1024}MB`);
+    }
+    if (!(await validateFileSignature(file, ['zip']))) {
+        throw new Error('File is not a wardrobe ZIP. Possible file spoofing detected.');
+    }
+
+    updateStatus('Importing wardrobe...', 'loading');
+    await loadJSZip();
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new Error('Could not read wardrobe file');
+    }
+
+    const manifestEntry = zip.file('wardrobe.json');
+    if (!manifestEntry) throw new Error('Wardrobe is missing wardrobe.json');
+
+    const manifestText = await readFileAs(await readZipEntry(manifestEntry, MAX_WARDROBE_JSON_SIZE), 'text');
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestText);
+    } catch (e) {
+        throw new Error('wardrobe.json is not valid JSON');
+    }
+    if (manifest?.format !== WARDROBE_FORMAT || manifest.version !== WARDROBE_VERSION || !Array.isArray(manifest.items)) {
+        throw new Error('Not a wardrobe file');
+    }
+    if (manifest.items.length > MAX_WARDROBE_ITEMS) {
+        throw new Error(`A wardrobe holds at most ${MAX_WARDROBE_ITEMS} items`);
+    }
+
+    // every item goes through the same checks as a file picked by hand
+    const rows = [];
+    for (const entry of manifest.items) {
+        const path = typeof entry?.file === 'string' ? entry.file : '';
+        const row = { name: sanitizeFilename(path.split('/').pop() || 'item'), severity: 'success', detail: 'Imported' };
+        let prepared = null;
+        try {
+            if (!WARDROBE_KINDS[entry.kind]) throw new Error('Unknown item kind');
+            const data = path ? zip.file(path) : null;
+            if (!data) throw new Error('File is missing from the ZIP');
+
+            const itemFile = await readZipEntry(data, entry.kind === 'accessory' ? MAX_FILE_SIZE : MAX_IMAGE_SIZE);
+            if (findWardrobeDuplicate(itemFile, entry.kind)) {
+                row.severity = 'warning';
+                row.detail = 'Already in the wardrobe';
+            } else {
+                updateStatus(`Importing ${rows.length + 1}/${manifest.items.length}...`, 'loading');
+                prepared = await prepareWardrobeFile(itemFile, entry.kind === 'accessory' ? null : entry.kind);
+                if (prepared.kind !== entry.kind) throw new Error(`File doesn't match its kind (${entry.kind})`);
+                const tags = Array.isArray(entry.tags) ? parseWardrobeTags(entry.tags.map(String).join(',')) : [];
+                await addWardrobeItem(itemFile, prepared.kind, prepared.source, tags);
+            }
+        } catch (error) {
+            console.error('Wardrobe import error:', error);
+            row.severity = 'error';
+            row.detail = error.message;
+        } finally {
+            disposeWardrobeSource(prepared?.source);
+        }
+        rows.push(row);
+        renderReportRows('wardrobeReport', rows);
+    }
+
+    renderWardrobe();
+    const failed = rows.filter(row => row.severity === 'error').length;
+    if (failed > 0) {
+        updateStatus(`Wardrobe imported — ${failed} item(s) could not be added`, 'error');
+    } else {
+        updateStatus('Wardrobe imported!', 'success');
+    }
+}
+
+const wardrobeAddBtn = document.getElementById('wardrobeAddBtn');
+const wardrobeInput = document.getElementById('wardrobeInput');
+if (wardrobeAddBtn && wardrobeInput) {
+    wardrobeAddBtn.addEventListener('click', () => wardrobeInput.click());
+
+    wardrobeInput.addEventListener('change', async function(e) {
+        const files = Array.from(e.target.files);
+        this.value = '';
+        if (files.length === 0) return;
+
+        wardrobeAddBtn.disabled = true;
+        await addWardrobeFiles(files);
+        wardrobeAddBtn.disabled = false;
+    });
+}
+
+const wardrobeSearch = document.getElementById('wardrobeSearch');
+if (wardrobeSearch) {
+    wardrobeSearch.addEventListener('input', renderWardrobe);
+}
+
+const wardrobeKeepUploads = document.getElementById('wardrobeKeepUploads');
+if (wardrobeKeepUploads) {
+    try {
+        wardrobeKeepUploads.checked = localStorage.getItem(WARDROBE_KEEP_STORAGE_KEY) === 'true';
+    } catch (error) {
+        console.warn('Could not load wardrobe setting:', error);
+    }
+
+    wardrobeKeepUploads.addEventListener('change', () => {
+        try {
+            localStorage.setItem(WARDROBE_KEEP_STORAGE_KEY, String(wardrobeKeepUploads.checked));
+        } catch (error) {
+            console.warn('Could not save wardrobe setting:', error);
+        }
+    });
+}
+
+const wardrobeExportBtn = document.getElementById('wardrobeExportBtn');
+if (wardrobeExportBtn) {
+    wardrobeExportBtn.addEventListener('click', exportWardrobe);
+}
+
+const wardrobeImportBtn = document.getElementById('wardrobeImportBtn');
+const wardrobeImportInput = document.getElementById('wardrobeImportInput');
+if (wardrobeImportBtn && wardrobeImportInput) {
+    wardrobeImportBtn.addEventListener('click', () => wardrobeImportInput.click());
+
+    wardrobeImportInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        this.value = '';
+        if (!file) return;
+
+        wardrobeImportBtn.disabled = true;
+        try {
+            await importWardrobe(file);
+        } catch (error) {
+            updateStatus(error.message, 'error');
+            console.error('Wardrobe import error:', error);
+        }
+        wardrobeImportBtn.disabled = false;
+    });
+}
+
+loadWardrobe();
+
+// directions are from the character's centre; the rigs face +Z
+const RENDER_PRESETS = {
+    front: { label: 'Front', direction: new THREE.Vector3(0, 0.1, 1) },
+    threeQuarter: { label: '3/4', direction: new THREE.Vector3(0.8, 0.15, 1) },
+    side: { label: 'Side', direction: new THREE.Vector3(1, 0.1, 0) },
+    back: { label: 'Back', direction: new THREE.Vector3(0, 0.1, -1) },
+    current: { label: 'Current View', direction: null }
+};
+
+const MAX_RENDER_SIZE = 4096;
+const RENDER_FOV = 30;
+
+let renderExportRenderer = null;
+
+function getRenderExportRenderer() {
+    if (!renderExportRenderer) {
+        renderExportRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        renderExportRenderer.outputEncoding = THREE.sRGBEncoding;
+    }
+    return renderExportRenderer;
+}
+
+function createPresetCamera(preset, aspect, target = polyModel) {
+    if (!preset.direction) {
+        const viewCamera = camera.clone();
+        viewCamera.aspect = aspect;
+        viewCamera.updateProjectionMatrix();
+        return viewCamera;
+    }
+
+    // frame the whole character, accessories included, with a little margin
+    const box = new THREE.Box3().setFromObject(target);
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = box.getSize(new THREE.Vector3()).length() / 2;
+
+    const presetCamera = new THREE.PerspectiveCamera(RENDER_FOV, aspect, 0.1, 1000);
+    const halfFov = THREE.MathUtils.degToRad(RENDER_FOV / 2);
+    const fitHeight = radius / Math.sin(halfFov);
+    const fitWidth = radius / Math.sin(Math.atan(Math.tan(halfFov) * aspect));
+    const distance = Math.max(fitHeight, fitWidth) * 1.05;
+
+    presetCamera.position.copy(center).addScaledVector(preset.direction.clone().normalize(), distance);
+    presetCamera.lookAt(center);
+    return presetCamera;
+}
+
+// the grid, gizmo and clipping markers are editor helpers, never part of a render.
+// a subject stands in for the avatar for that one render (wardrobe thumbnails)
+async function renderSceneToBlob(presetKey, width, height, transparent, subject = null) {
+    const exportRenderer = getRenderExportRenderer();
+    exportRenderer.setSize(width, height, false);
+    exportRenderer.setClearColor(document.getElementById('bgColor')?.value || '#000000', transparent ? 0 : 1);
+
+    const helpers = [gridHelper, transformControls, clipHighlight, subject && polyModel].filter(Boolean);
+    const visibility = helpers.map(helper => helper.visible);
+    helpers.forEach(helper => { helper.visible = false; });
+    if (subject) scene.add(subject);
+
+    try {
+        exportRenderer.render(scene, createPresetCamera(RENDER_PRESETS[presetKey], width / height, subject || polyModel));
+    } finally {
+        helpers.forEach((helper, i) => { helper.visible = visibility[i]; });
+        if (subject) scene.remove(subject);
+    }
+
+    return canvasToBlob(exportRenderer.domElement);
+}
+
+async function downloadRenders() {
+    if (!polyModel) {
+        updateStatus("Please load a character first!", "error");
+        return;
+    }
+
+    const [width, height] = (document.getElementById('renderSize')?.value || '1024x1024').split('x').map(Number);
+    const transparent = document.getElementById('renderTransparent')?.checked ?? false;
+    const presets = [...document.querySelectorAll('input[name="renderAngle"]:checked')].map(input => input.value)
+        .filter(key => RENDER_PRESETS[key]);
+
+    if (presets.length === 0) {
+        updateStatus("Pick at least one camera angle", "error");
+        return;
+    }
+
+    const maxSize = Math.min(MAX_RENDER_SIZE, getRenderExportRenderer().capabilities.maxTextureSize);
+    if (!(width > 0 && height > 0) || width > maxSize || height > maxSize) {
+        updateStatus(`This device can render at most ${maxSize}×${maxSize}`, "error");
+        return;
+    }
+
+    try {
+        if (presets.length === 1) {
+            updateStatus("Rendering...", "loading");
+            const blob = await renderSceneToBlob(presets[0], width, height, transparent);
+            if (!downloadBlob(blob, `render_${presets[0]}_${width}x${height}.png`)) {
+                throw new Error('Failed to create download');
+            }
+        } else {
+            await loadJSZip();
+            const zip = new JSZip();
+            for (let i = 0; i < presets.length; i++) {
+                updateStatus(`Rendering ${i + 1}/${presets.length}...`, "loading");
+                zip.file(`render_${presets[i]}_${width}x${height}.png`, await renderSceneToBlob(presets[i], width, height, transparent));
+            }
+            const blob = await zip.generateAsync({ type: 'blob' });
+            if (!downloadBlob(blob, 'renders.zip')) {
+                throw new Error('Failed to create download');
+            }
+        }
+        updateStatus(presets.length === 1 ? "Render downloaded!" : `${presets.length} renders downloaded!`, "success");
+    } catch (error) {
+        updateStatus("Render failed", "error");
+        console.error('Render error:', error);
+    }
+}
+
+const TURNTABLE_MIN_FRAMES = 8;
+const TURNTABLE_MAX_FRAMES = 240;
+
+// popularity palette over 15-bit colours; index 255 is reserved for transparency
+function quantizeGifFrame(data, transparent) {
+    const keyOf = i => ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    const isClear = i => transparent && data[i + 3] < 128;
+
+    const counts = new Uint32Array(32768);
+    for (let i = 0; i < data.length; i += 4) {
+        if (!isClear(i)) counts[keyOf(i)]++;
+    }
+
+    const used = [];
+    for (let key = 0; key < counts.length; key++) {
+        if (counts[key]) used.push(key);
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+
+    const palette = used.slice(0, 255).map(key => [
+        (((key >> 10) & 31) << 3) | 4,
+        (((key >> 5) & 31) << 3) | 4,
+        ((key & 31) << 3) | 4
+    ]);
+    if (palette.length === 0) palette.push([0, 0, 0]);
+
+    const lookup = new Int16Array(32768).fill(-1);
+    const indices = new Uint8Array(data.length / 4);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        if (isClear(i)) {
+            indices[p] = 255;
+            continue;
+        }
+
+        const key = keyOf(i);
+        if (lookup[key] < 0) {
+            let best = 0;
+            let bestDistance = Infinity;
+            palette.forEach(([r, g, b], index) => {
+                const distance = (r - data[i]) ** 2 + (g - data[i + 1]) ** 2 + (b - data[i + 2]) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = index;
+                }
+            });
+            lookup[key] = best;
+        }
+        indices[p] = lookup[key];
+    }
+
+    return { palette, indices };
+}
+
+function lzwEncodeGif(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            bytes.push(buffer & 255);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) bytes.push(buffer & 255);
+
+    return bytes;
+}
+
+// frames are encoded as they arrive so a long turntable never holds raw pixels
+function createGifEncoder(width, height, delayCs, transparent) {
+    const chunks = [];
+    const word = value => [value & 255, (value >> 8) & 255];
+
+    chunks.push(new Uint8Array([
+        ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+        ...word(width), ...word(height), 0x70, 0, 0,
+        // loop forever
+        0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0
+    ]));
+
+    return {
+        addFrame(imageData) {
+            const { palette, indices } = quantizeGifFrame(imageData.data, transparent);
+            const colorTable = new Uint8Array(768);
+            palette.forEach((color, i) => colorTable.set(color, i * 3));
+
+            // image data goes out in sub-blocks of at most 255 bytes
+            const lzw = lzwEncodeGif(indices, 8);
+            const blockCount = Math.ceil(lzw.length / 255);
+            const encoded = new Uint8Array(1 + lzw.length + blockCount + 1);
+            encoded[0] = 8;
+            let offset = 1;
+            for (let i = 0; i < lzw.length; i += 255) {
+                const block = lzw.slice(i, i + 255);
+                encoded[offset++] = block.length;
+                encoded.set(block, offset);
+                offset += block.length;
+            }
+
+            chunks.push(new Uint8Array([
+                // restore to background between frames so transparent pixels don't smear
+                0x21, 0xf9, 0x04, transparent ? 0x09 : 0x04, ...word(delayCs), 255, 0,
+                0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0x87
+            ]));
+            chunks.push(colorTable);
+            chunks.push(encoded);
+        },
+        finish() {
+            chunks.push(new Uint8Array([0x3b]));
+            return new Blob(chunks, { type: 'image/gif' });
+        }
+    };
+}
+
+function getTurntableOptions() {
+    const frames = Math.round(Number(document.getElementById('turntableFrames')?.value));
+    const seconds = Number(document.getElementById('turntableSeconds')?.value);
+    const size = Number(document.getElementById('turntableSize')?.value) || 512;
+
+    if (!(frames >= TURNTABLE_MIN_FRAMES && frames <= TURNTABLE_MAX_FRAMES)) {
+        throw new Error(`Frame count must be between ${TURNTABLE_MIN_FRAMES} and ${TURNTABLE_MAX_FRAMES}`);
+    }
+    if (!(seconds >= 1 && seconds <= 30)) {
+        throw new Error('Spin duration must be between 1 and 30 seconds');
+    }
+
+    return {
+        frames,
+        fps: frames / seconds,
+        size,
+        background: document.getElementById('turntableBg')?.value || '#0a0a0a',
+        transparent: document.getElementById('turntableTransparent')?.checked ?? false,
+        webm: document.getElementById('turntableWebm')?.checked ?? false,
+        gif: document.getElementById('turntableGif')?.checked ?? false
+    };
+}
+
+// orbits a copy of the viewport camera around controls.target, so the view itself never moves;
+// renders go through the offscreen export renderer to get a fixed size and alpha
+async function captureTurntable(options, onFrame, frameDelay = 0) {
+    const exportRenderer = getRenderExportRenderer();
+    exportRenderer.setSize(options.size, options.size, false);
+    exportRenderer.setClearColor(options.background, options.transparent ? 0 : 1);
+
+    const spinCamera = camera.clone();
+    spinCamera.aspect = 1;
+    spinCamera.updateProjectionMatrix();
+    const offset = camera.position.clone().sub(controls.target);
+    const axis = new THREE.Vector3(0, 1, 0);
+
+    const helpers = [gridHelper, transformControls, clipHighlight].filter(Boolean);
+    const visibility = helpers.map(helper => helper.visible);
+    helpers.forEach(helper => { helper.visible = false; });
+
+    try {
+        for (let i = 0; i < options.frames; i++) {
+            const angle = (i / options.frames) * Math.PI * 2;
+            spinCamera.position.copy(controls.target).add(offset.clone().applyAxisAngle(axis, angle));
+            spinCamera.lookAt(controls.target);
+            exportRenderer.render(scene, spinCamera);
+
+            await onFrame(exportRenderer.domElement, i);
+            if (frameDelay > 0) await new Promise(resolve => setTimeout(resolve, frameDelay));
+        }
+    } finally {
+        helpers.forEach((helper, i) => { helper.visible = visibility[i]; });
+    }
+}
+
+async function recordTurntableWebm(options) {
+    if (typeof MediaRecorder === 'undefined') {
+        throw new Error('This browser cannot record WebM');
+    }
+
+    const canvas = getRenderExportRenderer().domElement;
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM');
+
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const parts = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) parts.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    // the recorder timestamps frames as they arrive, so this pass runs in real time
+    recorder.start();
+    await captureTurntable(options, (frameCanvas, i) => {
+        track.requestFrame();
+        updateStatus(`Recording WebM ${i + 1}/${options.frames}...`, 'loading');
+    }, 1000 / options.fps);
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return new Blob(parts, { type: 'video/webm' });
+}
+
+async function recordTurntableGif(options) {
+    const encoder = createGifEncoder(options.size, options.size, Math.max(2, Math.round(100 / options.fps)), options.transparent);
+    const readback = document.createElement('canvas');
+    readback.width = options.size;
+    readback.height = options.size;
+    const ctx = readback.getContext('2d');
+
+    await captureTurntable(options, async (frameCanvas, i) => {
+        ctx.clearRect(0, 0, options.size, options.size);
+        ctx.drawImage(frameCanvas, 0, 0);
+        encoder.addFrame(ctx.getImageData(0, 0, options.size, options.size));
+        updateStatus(`Encoding GIF ${i + 1}/${options.frames}...`, 'loading');
+        // yield so the status and the page stay responsive
+        await new Promise(resolve => setTimeout(resolve, 0));
+    });
+
+    return encoder.finish();
+}
+
+async function recordTurntable() {
+    if (!polyModel) {
+        updateStatus("Please load a character first!", "error");
+        return;
+    }
+
+    try {
+        const options = getTurntableOptions();
+        if (!options.webm && !options.gif) {
+            updateStatus("Pick WebM, GIF or both", "error");
+            return;
+        }
+
+        if (options.webm) {
+            downloadBlob(await recordTurntableWebm(options), 'turntable.webm');
+        }
+        if (options.gif) {
+            downloadBlob(await recordTurntableGif(options), 'turntable.gif');
+        }
+        updateStatus("Turntable downloaded!", "success");
+    } catch (error) {
+        updateStatus(error.message, "error");
+        console.error('Turntable error:', error);
+    }
+}
+
+const recordTurntableBtn = document.getElementById('recordTurntableBtn');
+if (recordTurntableBtn) {
+    recordTurntableBtn.addEventListener('click', async () => {
+        recordTurntableBtn.disabled = true;
+        await recordTurntable();
+        recordTurntableBtn.disabled = false;
+    });
+}
+
+const downloadRenderBtn = document.getElementById('downloadRenderBtn');
+if (downloadRenderBtn) {
+    downloadRenderBtn.addEventListener('click', async () => {
+        downloadRenderBtn.disabled = true;
+        await downloadRenders();
+        downloadRenderBtn.disabled = false;
+    });
+}
+
+const bgInput = document.getElementById('bgColor');
+if (bgInput) {
+    bgInput.addEventListener('input', e => {
+        renderer.setClearColor(e.target.value);
+    });
+}
+
+const skinInput = document.getElementById('skinTone');
+if (skinInput) {
+    // the skin tone acts as "set all"; per-part pickers override afterwards
+    skinInput.addEventListener('input', e => {
+        currentSkinTone = new THREE.Color(e.target.value);
+        Object.keys(bodyColors).forEach(part => bodyColors[part].copy(currentSkinTone));
+
+        document.querySelectorAll('input[data-body-part]').forEach(input => {
+            input.value = e.target.value;
+            input.dispatchEvent(new Event('colorsync'));
+        });
+
+        applyBodyColors();
+    });
+}
+
+document.querySelectorAll('input[data-body-part]').forEach(input => {
+    input.addEventListener('input', () => {
+        const part = input.dataset.bodyPart;
+        if (!bodyColors[part]) return;
+        bodyColors[part].set(input.value);
+        applyBodyColors();
+    });
+});
+
+const gridInput = document.getElementById('showGrid');
+if (gridInput) {
+    gridInput.addEventListener('change', e => {
+        gridHelper.visible = e.target.checked;
+    });
+}
+
+// returns the uploaded image as a canvas
+async function applyClothingFile(file, clothingType) {
+    if (!polyModel) throw new Error('Please load a character model first!');
+
+    await validateImageFile(file);
+    
+    const img = await loadImageSafely(file);
+    const keepExisting = document.getElementById('keepTextures')?.checked ?? true;
+
+    const layer = {
+        id: nextLayerId++,
+        name: sanitizeFilename(file.name),
+        image: imageToCanvas(img),
+        opacity: 1,
+        visible: true
+    };
+    if (clothingType === 'face') {
+        layer.transform = createLayerTransform();
+        selectedFaceLayerId = layer.id;
+    }
+
+    // layering stacks onto the category and keeps the others;
+    // otherwise the upload starts the avatar over from this one texture
+    if (keepExisting) {
+        textureLayers[clothingType].push(layer);
+    } else {
+        clearTextureLayers();
+        textureLayers[clothingType] = [layer];
+    }
+    compositeTextureLayers(clothingType);
+    
+    refreshModelTextures(keepExisting, clothingType);
+    renderLayerList();
+    
+    const lint = clothingType === 'face' ? null : showTemplateLint(img);
+    hideTemplateLint(!lint);
+    
+    safeRevokeObjectURL(img.src);
+    
+    if (lint && lint.issues.length > 0) {
+        updateStatus(`Texture applied — ${lint.issues.length} template issue(s) found`, 'error');
+    } else {
+        updateStatus('Texture applied successfully!', 'success');
+    }
+    return layer.image;
+}
+
+const uploadInput = document.getElementById('upload');
+if (uploadInput) {
+    uploadInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        try {
+            const clothingType = document.getElementById('clothingType')?.value || 'shirt';
+            const image = await applyClothingFile(file, clothingType);
+            keepUploadInWardrobe(file, clothingType, image);
+        } catch (error) {
+            updateStatus(error.message, 'error');
+            this.value = '';
+        }
+    });
+}
+
+const clothingTypeSelect = document.getElementById('clothingType');
+if (clothingTypeSelect) {
+    clothingTypeSelect.addEventListener('change', renderLayerList);
+}
+
+FACE_TRANSFORM_FIELDS.forEach(({ inputId, key, fromInput }) => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+
+    input.addEventListener('input', () => {
+        const layer = getSelectedFaceLayer();
+        if (!layer) return;
+
+        if (!layer.transform) layer.transform = createLayerTransform();
+        layer.transform[key] = fromInput(Number(input.value) || 0);
+        compositeTextureLayers('face');
+    });
+});
+
+const faceResetBtn = document.getElementById('faceResetBtn');
+if (faceResetBtn) {
+    faceResetBtn.addEventListener('click', () => {
+        const layer = getSelectedFaceLayer();
+        if (!layer) return;
+
+        layer.transform = createLayerTransform();
+        compositeTextureLayers('face');
+        syncFaceEditor();
+    });
+}
+
+const defaultFaceBtn = document.getElementById('defaultFaceBtn');
+if (defaultFaceBtn) {
+    defaultFaceBtn.addEventListener('click', () => loadFaceDecal('assets/face/Smile.png'));
+}
+
+const clearBtn = document.getElementById('clearBtn');
+if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+        if (!polyModel) return;
+        
+        clearTextureLayers();
+        activeTextures = { shirt: null, pants: null, face: null };
+        faceTexture = null;
+        renderLayerList();
+        
+        polyModel.traverse(child => {
+            if (child.isMesh) {
+                child.material = createMaterial(getBodyPartColor(child.name), null);
+                child.material.needsUpdate = true;
+            }
+        });
+        
+        const upload = document.getElementById('upload');
+        if (upload) upload.value = '';
+        hideTemplateLint(true);
+        
+        updateStatus('Textures cleared', 'info');
+    });
+}
+
+const ugcUpload = document.getElementById('ugcUpload');
+if (ugcUpload) {
+    ugcUpload.addEventListener('change', async function(e) {
+        const files = Array.from(e.target.files);
+        this.value = '';
+        
+        if (files.length === 0) return;
+
+        await loadUgcFiles(files);
+    });
+}
+
+const clearUgcBtn = document.getElementById('clearUgcBtn');
+if (clearUgcBtn) {
+    clearUgcBtn.addEventListener('click', () => {
+        if (!polyModel) return;
+        transformControls.detach();
+        selectedUgcId = null;
+        equippedUgc.forEach(item => {
+            if (item && item.parent) item.parent.remove(item);
+        });
+        equippedUgc = [];
+        clearClipHighlight();
+        renderUgcList();
+        updateStatus("All accessories cleared", "info");
+    });
+}
+
+transformControls.addEventListener('objectChange', () => {
+    clearClipHighlight();
+    syncUgcTransformPanel();
+});
+
+UGC_TRANSFORM_FIELDS.forEach(({ inputId, prop, axis }) => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+
+    input.addEventListener('change', () => {
+        const item = getUgcById(selectedUgcId);
+        const value = Number(input.value);
+        if (!item || !Number.isFinite(value)) {
+            syncUgcTransformPanel();
+            return;
+        }
+
+        if (prop === 'rotation') {
+            item.rotation[axis] = THREE.MathUtils.degToRad(value);
+        } else if (prop === 'scale') {
+            item.scale[axis] = value === 0 ? 0.001 : value;
+        } else {
+            item.position[axis] = value;
+        }
+        clearClipHighlight();
+        syncUgcTransformPanel();
+    });
+});
+
+document.querySelectorAll('input[name="ugcGizmoMode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+        if (radio.checked) transformControls.setMode(radio.value);
+    });
+});
+
+function updateGizmoSnap() {
+    const moveSnap = Number(document.getElementById('ugcMoveSnap')?.value) || 0;
+    const rotateSnap = Number(document.getElementById('ugcRotateSnap')?.value) || 0;
+
+    transformControls.setTranslationSnap(moveSnap > 0 ? moveSnap : null);
+    transformControls.setScaleSnap(moveSnap > 0 ? moveSnap : null);
+    transformControls.setRotationSnap(rotateSnap > 0 ? THREE.MathUtils.degToRad(rotateSnap) : null);
+}
+
+['ugcMoveSnap', 'ugcRotateSnap'].forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (input) input.addEventListener('change', updateGizmoSnap);
+});
+
+const ugcResetBtn = document.getElementById('ugcResetBtn');
+if (ugcResetBtn) {
+    ugcResetBtn.addEventListener('click', () => {
+        const item = getUgcById(selectedUgcId);
+        const original = item?.userData.originalTransform;
+        if (!original) return;
+
+        // the authored transform is relative to the character root
+        const parent = item.parent;
+        polyModel.add(item);
+        item.position.fromArray(original.position);
+        item.rotation.set(...original.rotation);
+        item.scale.fromArray(original.scale);
+        if (parent && parent !== polyModel) parent.attach(item);
+        clearClipHighlight();
+        syncUgcTransformPanel();
+    });
+}
+
+const ugcAttachSelect = document.getElementById('ugcAttachPoint');
+if (ugcAttachSelect) {
+    ugcAttachSelect.addEventListener('change', () => {
+        const item = getUgcById(selectedUgcId);
+        if (!item || !polyModel) return;
+
+        const [kind, name] = ugcAttachSelect.value.split(/:(.*)/s);
+        const attachPoint = kind === 'preset' ? { preset: name }
+            : kind === 'node' ? { node: name }
+            : null;
+
+        if (attachUgc(item, attachPoint)) {
+            clearClipHighlight();
+            updateStatus(`Attached to ${describeAttachPoint(attachPoint)}`, 'success');
+        }
+        renderUgcList();
+    });
+}
+
+syncBudgetFields();
+document.querySelectorAll('input[data-budget]').forEach(input => {
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        const budget = ugcBudgets[input.dataset.budget];
+        if (Number.isFinite(value) && value >= 0) {
+            budget[input.dataset.level] = value;
+            saveUgcBudgets();
+        }
+        syncBudgetFields();
+        renderUgcList();
+    });
+});
+
+const resetBudgetsBtn = document.getElementById('resetBudgetsBtn');
+if (resetBudgetsBtn) {
+    resetBudgetsBtn.addEventListener('click', () => {
+        ugcBudgets = JSON.parse(JSON.stringify(DEFAULT_UGC_BUDGETS));
+        saveUgcBudgets();
+        syncBudgetFields();
+        renderUgcList();
+    });
+}
+
+const ugcMaterialSelect = document.getElementById('ugcMaterialSelect');
+if (ugcMaterialSelect) {
+    ugcMaterialSelect.addEventListener('change', () => {
+        selectedUgcMaterial = parseInt(ugcMaterialSelect.value, 10) || 0;
+        syncUgcMaterialPanel();
+    });
+}
+
+const ugcMaterialColor = document.getElementById('ugcMaterialColor');
+if (ugcMaterialColor) {
+    ugcMaterialColor.addEventListener('input', () => {
+        const material = getSelectedUgcMaterial();
+        if (material?.color) material.color.set(ugcMaterialColor.value);
+    });
+}
+
+['roughness', 'metalness'].forEach(prop => {
+    const suffix = `${prop[0].toUpperCase()}${prop.slice(1)}`;
+    const input = document.getElementById(`ugc${suffix}`);
+    if (!input) return;
+
+    input.addEventListener('input', () => {
+        const material = getSelectedUgcMaterial();
+        if (!material || typeof material[prop] !== 'number') return;
+
+        material[prop] = parseFloat(input.value);
+        const label = document.getElementById(`ugc${suffix}Value`);
+        if (label) label.textContent = material[prop].toFixed(2);
+    });
+});
+
+const ugcTextureInput = document.getElementById('ugcTextureInput');
+const ugcTextureBtn = document.getElementById('ugcTextureBtn');
+if (ugcTextureBtn && ugcTextureInput) {
+    ugcTextureBtn.addEventListener('click', () => ugcTextureInput.click());
+
+    ugcTextureInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        this.value = '';
+        const material = getSelectedUgcMaterial();
+        if (!file || !material) return;
+
+        try {
+            await validateImageFile(file);
+            const img = await loadImageSafely(file);
+            const canvas = imageToCanvas(img);
+            safeRevokeObjectURL(img.src);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.flipY = false;
+            texture.encoding = THREE.sRGBEncoding;
+            if (material.map) {
+                texture.wrapS = material.map.wrapS;
+                texture.wrapT = material.map.wrapT;
+            }
+            texture.name = sanitizeFilename(file.name);
+
+            setUgcMaterialMap(material, texture);
+            syncUgcMaterialPanel();
+            updateStatus('Accessory texture replaced', 'success');
+        } catch (error) {
+            updateStatus(error.message, 'error');
+            console.error('Accessory texture error:', error);
+        }
+    });
+}
+
+const ugcMaterialResetBtn = document.getElementById('ugcMaterialResetBtn');
+if (ugcMaterialResetBtn) {
+    ugcMaterialResetBtn.addEventListener('click', () => {
+        const material = getSelectedUgcMaterial();
+        const original = material && ugcMaterialOriginals.get(material);
+        if (!original) return;
+
+        if (original.color) material.color.copy(original.color);
+        if (typeof original.roughness === 'number') material.roughness = original.roughness;
+        if (typeof original.metalness === 'number') material.metalness = original.metalness;
+        setUgcMaterialMap(material, original.map);
+        syncUgcMaterialPanel();
+    });
+}
+
+const checkClippingBtn = document.getElementById('checkClippingBtn');
+if (checkClippingBtn) {
+    checkClippingBtn.addEventListener('click', checkClipping);
+}
+
+const ugcDeselectBtn = document.getElementById('ugcDeselectBtn');
+if (ugcDeselectBtn) {
+    ugcDeselectBtn.addEventListener('click', () => selectUgc(null));
+}
+
+const downloadGeometryBtn = document.getElementById('downloadGeometryBtn');
+if (downloadGeometryBtn) {
+    downloadGeometryBtn.addEventListener('click', downloadGeometry);
+}
+
+const downloadTexturesBtn = document.getElementById('downloadTexturesBtn');
+if (downloadTexturesBtn) {
+    downloadTexturesBtn.addEventListener('click', downloadTexturesZip);
+}
+
+function getTemplateProfiles() {
+    return [...Object.values(TEMPLATE_LAYOUTS), ...customProfiles];
+}
+
+function getTemplateProfile(id) {
+    if (!id) return null;
+    return getTemplateProfiles().find(profile => profile.id === id) || null;
+}
+
+// garment turns the generic "Limb" names into arms (shirt) or legs (pants)
+function getRegionLabel(profile, category, index, garment = null) {
+    const custom = profile.map[category][index]?.label;
+    if (custom) return custom;
+
+    const label = REGION_LABELS[category][index];
+    if (!label) return `${category === 'top_parts' ? 'Top' : 'Bottom'} ${index + 1}`;
+    if (garment === 'shirt') return label.replace('Limb', 'Arm');
+    if (garment === 'pants') return label.replace('Limb', 'Leg');
+    return label;
+}
+
+function createProfileId() {
+    return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// validates untrusted profile JSON (imports and localStorage) into the internal shape
+function parseMappingProfile(data, id = createProfileId()) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Profile must be a JSON object');
+    }
+
+    const width = Number(data.width);
+    const height = Number(data.height);
+    if (![width, height].every(v => Number.isInteger(v) && v >= 1 && v <= 8192)) {
+        throw new Error('Profile width and height must be whole numbers between 1 and 8192');
+    }
+
+    const map = {};
+    ['top_parts', 'bottom_parts'].forEach(category => {
+        const parts = data[category];
+        if (!Array.isArray(parts) || parts.length > MAX_PROFILE_PARTS) {
+            throw new Error(`"${category}" must be a list of at most ${MAX_PROFILE_PARTS} parts`);
+        }
+
+        map[category] = parts.map((part, index) => {
+            const rect = part?.rect;
+            if (!Array.isArray(rect) || rect.length !== 4 || !rect.every(Number.isFinite)) {
+                throw new Error(`${category}[${index}] needs a rect of [x, y, width, height]`);
+            }
+
+            const [x, y, w, h] = rect.map(Math.round);
+            if (x < 0 || y < 0 || w < 1 || h < 1 || x + w > width || y + h > height) {
+                throw new Error(`${category}[${index}] lies outside the ${width}×${height} template`);
+            }
+
+            const node = { rect: [x, y, w, h] };
+            if (typeof part.label === 'string' && part.label.trim()) {
+                node.label = part.label.trim().substring(0, 40);
+            }
+            return node;
+        });
+    });
+
+    const name = typeof data.name === 'string' && data.name.trim()
+        ? data.name.trim().substring(0, 40)
+        : 'Custom Layout';
+
+    return {
+        id: typeof id === 'string' ? id : createProfileId(),
+        name,
+        slug: sanitizeFilename(name.toLowerCase().replace(/\s+/g, '_')),
+        width,
+        height,
+        map,
+        builtIn: false
+    };
+}
+
+function serializeMappingProfile(profile) {
+    return {
+        name: profile.name,
+        width: profile.width,
+        height: profile.height,
+        top_parts: profile.map.top_parts.map(node => ({ ...node, rect: [...node.rect] })),
+        bottom_parts: profile.map.bottom_parts.map(node => ({ ...node, rect: [...node.rect] }))
+    };
+}
+
+function saveCustomProfiles() {
+    try {
+        const stored = customProfiles.map(profile => ({ id: profile.id, ...serializeMappingProfile(profile) }));
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+        console.warn('Could not save mapping profiles:', e);
+    }
+}
+
+function loadCustomProfiles() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || '[]');
+        if (!Array.isArray(stored)) return;
+        customProfiles = stored.flatMap(entry => {
+            try {
+                return [parseMappingProfile(entry, entry.id)];
+            } catch (e) {
+                console.warn('Skipping invalid stored profile:', e);
+                return [];
+            }
+        });
+    } catch (e) {
+        console.warn('Could not load mapping profiles:', e);
+    }
+}
+
+function duplicateProfile(profile) {
+    const copy = parseMappingProfile({ ...serializeMappingProfile(profile), name: `${profile.name} Copy` });
+    customProfiles.push(copy);
+    saveCustomProfiles();
+    return copy;
+}
+
+function renderProfileOptions() {
+    const fill = (selectId, extraOptions = [], fallback = null) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const previous = select.value;
+        select.innerHTML = '';
+
+        const entries = [
+            ...extraOptions,
+            ...getTemplateProfiles().map(profile => ({
+                value: profile.id,
+                label: `${profile.name} (${profile.width}×${profile.height})`
+            }))
+        ];
+
+        entries.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        select.value = previous;
+        if (select.selectedIndex < 0 && fallback) select.value = fallback;
+        if (select.selectedIndex < 0) select.selectedIndex = 0;
+    };
+
+    fill('profileSource', [{ value: '', label: 'Use mode above' }]);
+    fill('profileTarget', [{ value: '', label: 'Default' }]);
+    fill('profileEditSelect');
+    fill('generatorLayout', [{ value: 'rig', label: 'Current Rig UVs' }]);
+    fill('lintLayout', [], TEMPLATE_LAYOUTS.poly.id);
+}
+
+// aspect ratios within this fraction of a layout's canonical size count as a match
+const LAYOUT_ASPECT_TOLERANCE = 0.015;
+
+function getTemplateRects(layout) {
+    return ['top_parts', 'bottom_parts'].flatMap(category =>
+        layout.map[category].map(node => node.rect)
+    );
+}
+
+// fraction of "painted" pixels inside the layout's rects minus the fraction outside them
+function scoreLayoutContent(img, layout) {
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, layout.width, layout.height);
+    const data = ctx.getImageData(0, 0, layout.width, layout.height).data;
+
+    const mask = new Uint8Array(layout.width * layout.height);
+    getTemplateRects(layout).forEach(([x, y, w, h]) => {
+        for (let row = y; row < Math.min(y + h, layout.height); row++) {
+            mask.fill(1, row * layout.width + x, row * layout.width + Math.min(x + w, layout.width));
+        }
+    });
+
+    // treat the corner colour as the template background
+    const [br, bg, bb, ba] = data;
+    let insideInk = 0, insideTotal = 0, outsideInk = 0, outsideTotal = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+        const o = i * 4;
+        const alpha = data[o + 3];
+        const diff = Math.abs(data[o] - br) + Math.abs(data[o + 1] - bg) + Math.abs(data[o + 2] - bb) + Math.abs(alpha - ba);
+        const ink = alpha > 16 && diff > 24;
+
+        if (mask[i]) {
+            insideTotal++;
+            if (ink) insideInk++;
+        } else {
+            outsideTotal++;
+            if (ink) outsideInk++;
+        }
+    }
+
+    return (insideTotal ? insideInk / insideTotal : 0) - (outsideTotal ? outsideInk / outsideTotal : 0);
+}
+
+function detectTemplateLayout(img) {
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    const layouts = getTemplateProfiles();
+
+    const aspectMatches = layouts.filter(layout => {
+        const expected = layout.width / layout.height;
+        return Math.abs(width / height - expected) / expected <= LAYOUT_ASPECT_TOLERANCE;
+    });
+
+    if (aspectMatches.length === 1) {
+        return { layout: aspectMatches[0], reason: 'dimensions' };
+    }
+
+    const candidates = aspectMatches.length > 1 ? aspectMatches : layouts;
+    let best = candidates[0];
+    let bestScore = -Infinity;
+    candidates.forEach(layout => {
+        const score = scoreLayoutContent(img, layout);
+        if (score > bestScore) {
+            best = layout;
+            bestScore = score;
+        }
+    });
+
+    return { layout: best, reason: 'content' };
+}
+
+function resolveConversion(img) {
+    const mode = document.querySelector('input[name="convertMode"]:checked')?.value || 'auto';
+    const sourceOverride = getTemplateProfile(document.getElementById('profileSource')?.value);
+    const targetOverride = getTemplateProfile(document.getElementById('profileTarget')?.value);
+
+    let source;
+    let detected = false;
+    if (sourceOverride) {
+        source = sourceOverride;
+    } else if (mode === 'auto') {
+        source = detectTemplateLayout(img).layout;
+        detected = true;
+    } else {
+        source = mode === 'poly2rbx' ? TEMPLATE_LAYOUTS.poly : TEMPLATE_LAYOUTS.rbx;
+    }
+
+    const target = targetOverride || (source.id === 'poly' ? TEMPLATE_LAYOUTS.rbx : TEMPLATE_LAYOUTS.poly);
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    const scaled = width !== source.width || height !== source.height;
+
+    return { source, target, detected, scaled, width, height };
+}
+
+function describeConversion(conversion) {
+    const { source, target, detected, scaled, width, height } = conversion;
+    let text = `${source.name} → ${target.name}`;
+    if (detected) text += ' (auto)';
+    if (scaled) text += `, rescaled from ${width}×${height}`;
+    return text;
+}
+
+const MAX_EDGE_BLEED = 16;
+
+function getConversionOptions() {
+    const bleed = parseInt(document.getElementById('convertBleed')?.value, 10);
+    const resampling = document.getElementById('convertResampling')?.value || 'smooth';
+    return {
+        bleed: Number.isFinite(bleed) ? Math.min(Math.max(bleed, 0), MAX_EDGE_BLEED) : 0,
+        smooth: resampling !== 'nearest'
+    };
+}
+
+// extend each region's border pixels outward so filtered edges on the model
+// sample face colour instead of whatever sits between the regions
+function applyEdgeBleed(ctx, regions, rects, bleed) {
+    ctx.imageSmoothingEnabled = false;
+
+    rects.forEach(([x, y, w, h]) => {
+        ctx.drawImage(regions, x, y, w, 1, x, y - bleed, w, bleed);
+        ctx.drawImage(regions, x, y + h - 1, w, 1, x, y + h, w, bleed);
+        ctx.drawImage(regions, x, y, 1, h, x - bleed, y, bleed, h);
+        ctx.drawImage(regions, x + w - 1, y, 1, h, x + w, y, bleed, h);
+
+        ctx.drawImage(regions, x, y, 1, 1, x - bleed, y - bleed, bleed, bleed);
+        ctx.drawImage(regions, x + w - 1, y, 1, 1, x + w, y - bleed, bleed, bleed);
+        ctx.drawImage(regions, x, y + h - 1, 1, 1, x - bleed, y + h, bleed, bleed);
+        ctx.drawImage(regions, x + w - 1, y + h - 1, 1, 1, x + w, y + h, bleed, bleed);
+    });
+
+    // bleed from one region must never cover another region's pixels
+    rects.forEach(([x, y, w, h]) => {
+        ctx.clearRect(x, y, w, h);
+        ctx.drawImage(regions, x, y, w, h, x, y, w, h);
+    });
+}
+
+function convertTemplate(img, srcLayout, destLayout, options = {}) {
+    const { bleed = 0, smooth = true } = options;
+    const srcMap = srcLayout.map;
+    const destMap = destLayout.map;
+
+    // non-canonical sources (e.g. 2x upscales) get their rects scaled to match
+    const scaleX = (img.naturalWidth || img.width) / srcLayout.width;
+    const scaleY = (img.naturalHeight || img.height) / srcLayout.height;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { 
+        willReadFrequently: true,
+        alpha: true 
+    }); 
+    
+    canvas.width = destLayout.width;
+    canvas.height = destLayout.height;
+    
+    ctx.imageSmoothingEnabled = smooth;
+    ctx.imageSmoothingQuality = 'high';
+
+    // each face is cropped first so smoothing can't pull in pixels from
+    // around the source rect
+    const crop = document.createElement('canvas');
+    const cropCtx = crop.getContext('2d');
+    const destRects = [];
+    
+    ['top_parts', 'bottom_parts'].forEach(category => {
+        srcMap[category].forEach((srcNode, index) => {
+            const destNode = destMap[category][index];
+            if (!destNode) return;
+            const [sx, sy, sw, sh] = srcNode.rect;
+            const [dx, dy, dw, dh] = destNode.rect;
+
+            crop.width = Math.max(1, Math.round(sw * scaleX));
+            crop.height = Math.max(1, Math.round(sh * scaleY));
+            cropCtx.imageSmoothingEnabled = smooth;
+            cropCtx.imageSmoothingQuality = 'high';
+            cropCtx.drawImage(img, sx * scaleX, sy * scaleY, sw * scaleX, sh * scaleY, 0, 0, crop.width, crop.height);
+
+            ctx.drawImage(crop, 0, 0, crop.width, crop.height, dx, dy, dw, dh);
+            destRects.push(destNode.rect);
+        });
+    });
+
+    if (bleed > 0) {
+        const regions = document.createElement('canvas');
+        regions.width = canvas.width;
+        regions.height = canvas.height;
+        regions.getContext('2d').drawImage(canvas, 0, 0);
+        applyEdgeBleed(ctx, regions, destRects, bleed);
+    }
+
+    return canvas;
+}
+
+function renderConverterReport(results) {
+    const report = document.getElementById('converterReport');
+    if (!report) return;
+
+    report.innerHTML = '';
+
+    results.forEach(result => {
+        const row = document.createElement('div');
+        row.className = `report-item ${result.ok ? 'success' : 'error'}`;
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'report-name';
+        nameSpan.textContent = `${result.ok ? '✓' : '✕'} ${sanitizeFilename(result.name)}`;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.className = 'report-detail';
+        detailSpan.textContent = result.ok ? `${result.outputName} · ${result.summary}` : result.error;
+        detailSpan.title = detailSpan.textContent;
+
+        row.appendChild(nameSpan);
+        row.appendChild(detailSpan);
+        report.appendChild(row);
+    });
+}
+
+function uniqueFileName(name, usedNames) {
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    let candidate = name;
+    let n = 2;
+    while (usedNames.has(candidate)) {
+        candidate = `${base}_${n++}${ext}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+}
+
+const convertBtn = document.getElementById('convertBtn');
+if (convertBtn) {
+    convertBtn.addEventListener('click', async () => {
+        const fileInput = document.getElementById('converterInput');
+        const files = Array.from(fileInput?.files || []);
+        
+        if (files.length === 0) {
+            updateStatus('Please select a template image first!', 'error');
+            return;
+        }
+        
+        const options = getConversionOptions();
+        const results = [];
+        const usedNames = new Set();
+
+        convertBtn.disabled = true;
+        renderConverterReport(results);
+
+        try {
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                updateStatus(`Converting ${i + 1}/${files.length}...`, 'loading');
+
+                try {
+                    await validateImageFile(file);
+                    const img = await loadImageSafely(file);
+                    const conversion = resolveConversion(img);
+                    const canvas = convertTemplate(img, conversion.source, conversion.target, options);
+                    safeRevokeObjectURL(img.src);
+
+                    const blob = await canvasToBlob(canvas);
+                    const suffix = conversion.target.slug;
+                    const baseName = sanitizeFilename(file.name).replace(/\.[^.]*$/, '');
+                    const outputName = files.length === 1
+                        ? `${suffix}_template.png`
+                        : uniqueFileName(`${baseName}_${suffix}.png`, usedNames);
+
+                    results.push({ name: file.name, ok: true, outputName, blob, suffix, summary: describeConversion(conversion) });
+                } catch (error) {
+                    console.error('Conversion error:', error);
+                    results.push({ name: file.name, ok: false, error: error.message });
+                }
+
+                renderConverterReport(results);
+            }
+
+            const converted = results.filter(r => r.ok);
+            const failed = results.length - converted.length;
+
+            if (converted.length === 0) {
+                updateStatus(files.length === 1 ? results[0].error : 'Conversion failed for every file', 'error');
+                return;
+            }
+
+            if (files.length === 1) {
+                if (!downloadBlob(converted[0].blob, converted[0].outputName)) {
+                    updateStatus('Failed to create download', 'error');
+                    return;
+                }
+                updateStatus(`Conversion complete! (${converted[0].summary})`, 'success');
+                return;
+            }
+
+            updateStatus('Preparing ZIP Archive...', 'loading');
+            await loadJSZip();
+
+            const zip = new JSZip();
+            converted.forEach(result => zip.file(result.outputName, result.blob));
+            const content = await zip.generateAsync({ type: 'blob' });
+
+            const suffixes = new Set(converted.map(result => result.suffix));
+            const zipName = suffixes.size === 1 ? `${converted[0].suffix}_templates.zip` : 'converted_templates.zip';
+
+            if (!downloadBlob(content, zipName)) {
+                updateStatus('Failed to create download', 'error');
+                return;
+            }
+
+            updateStatus(
+                `Converted ${converted.length}/${results.length} templates` + (failed ? ` (${failed} failed)` : ''),
+                failed ? 'error' : 'success'
+            );
+        } catch (error) {
+            updateStatus(error.message, 'error');
+            console.error('Conversion error:', error);
+        } finally {
+            convertBtn.disabled = false;
+        }
+    });
+}
+
+let converterPreview = null;
+
+function drawPreviewCanvas(target, source) {
+    if (!target) return;
+    const maxSize = 256;
+    const scale = Math.min(maxSize / source.width, maxSize / source.height);
+    target.width = Math.round(source.width * scale);
+    target.height = Math.round(source.height * scale);
+
+    const ctx = target.getContext('2d');
+    ctx.clearRect(0, 0, target.width, target.height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, target.width, target.height);
+}
+
+function applyConverterPreview() {
+    if (!converterPreview || !polyModel) return;
+    applyTextureToCategory('shirt', converterPreview.texture);
+    applyTextureToCategory('pants', converterPreview.texture);
+}
+
+function closeConverterPreview() {
+    const panel = document.getElementById('converterPreview');
+    if (panel) panel.hidden = true;
+
+    if (!converterPreview) return;
+
+    converterPreview.texture.dispose();
+    converterPreview = null;
+    refreshModelTextures(true);
+}
+
+async function previewConversion() {
+    const fileInput = document.getElementById('converterInput');
+    const files = Array.from(fileInput?.files || []);
+
+    if (files.length === 0) {
+        updateStatus('Please select a template image first!', 'error');
+        return;
+    }
+    if (!polyModel) {
+        updateStatus('Please load a character model first!', 'error');
+        return;
+    }
+
+    const fileSelect = document.getElementById('converterPreviewFile');
+    const index = Math.min(parseInt(fileSelect?.value, 10) || 0, files.length - 1);
+    const file = files[index];
+
+    try {
+        await validateImageFile(file);
+        updateStatus('Rendering preview...', 'loading');
+
+        const img = await loadImageSafely(file);
+        const options = getConversionOptions();
+        const conversion = resolveConversion(img);
+        const canvas = convertTemplate(img, conversion.source, conversion.target, options);
+
+        // the rigs are UV mapped to the Polytoria layout, so a Roblox result
+        // is mapped back before it goes on the model
+        const modelCanvas = conversion.target.id === 'poly'
+            ? canvas
+            : convertTemplate(canvas, conversion.target, TEMPLATE_LAYOUTS.poly, options);
+
+        drawPreviewCanvas(document.getElementById('converterBefore'), img);
+        drawPreviewCanvas(document.getElementById('converterAfter'), canvas);
+        safeRevokeObjectURL(img.src);
+
+        const texture = new THREE.CanvasTexture(modelCanvas);
+        texture.flipY = false;
+        texture.encoding = THREE.sRGBEncoding;
+        if (!options.smooth) {
+            texture.magFilter = THREE.NearestFilter;
+            texture.minFilter = THREE.NearestFilter;
+            texture.generateMipmaps = false;
+        }
+
+        if (converterPreview) converterPreview.texture.dispose();
+        converterPreview = {
+            canvas,
+            texture,
+            outputName: `${conversion.target.slug}_template.png`
+        };
+        applyConverterPreview();
+
+        if (fileSelect) {
+            fileSelect.innerHTML = '';
+            files.forEach((f, i) => {
+                const option = document.createElement('option');
+                option.value = String(i);
+                option.textContent = sanitizeFilename(f.name);
+                fileSelect.appendChild(option);
+            });
+            fileSelect.value = String(index);
+            fileSelect.hidden = files.length < 2;
+        }
+
+        const panel = document.getElementById('converterPreview');
+        if (panel) panel.hidden = false;
+
+        updateStatus(`Previewing ${describeConversion(conversion)} — download or close when done`, 'success');
+    } catch (error) {
+        updateStatus(error.message, 'error');
+        console.error('Preview error:', error);
+    }
+}
+
+const previewConvertBtn = document.getElementById('previewConvertBtn');
+if (previewConvertBtn) {
+    previewConvertBtn.addEventListener('click', previewConversion);
+}
+
+const converterPreviewFile = document.getElementById('converterPreviewFile');
+if (converterPreviewFile) {
+    converterPreviewFile.addEventListener('change', previewConversion);
+}
+
+const previewDownloadBtn = document.getElementById('previewDownloadBtn');
+if (previewDownloadBtn) {
+    previewDownloadBtn.addEventListener('click', async () => {
+        if (!converterPreview) return;
+        try {
+            const blob = await canvasToBlob(converterPreview.canvas);
+            if (!downloadBlob(blob, converterPreview.outputName)) {
+                updateStatus('Failed to create download', 'error');
+                return;
+            }
+            updateStatus('Conversion complete!', 'success');
+        } catch (error) {
+            updateStatus(error.message, 'error');
+        }
+    });
+}
+
+const previewCloseBtn = document.getElementById('previewCloseBtn');
+if (previewCloseBtn) {
+    previewCloseBtn.addEventListener('click', () => {
+        closeConverterPreview();
+        updateStatus('Preview closed', 'info');
+    });
+}
+
+const converterInput = document.getElementById('converterInput');
+if (converterInput) {
+    converterInput.addEventListener('change', () => {
+        const fileSelect = document.getElementById('converterPreviewFile');
+        if (fileSelect) fileSelect.value = '0';
+        closeConverterPreview();
+    });
+}
+
+const rectEditor = {
+    profile: null,
+    sample: null,
+    selected: null,
+    drag: null
+};
+
+const EDITOR_COLORS = {
+    top_parts: '56, 189, 248',
+    bottom_parts: '251, 146, 60'
+};
+
+function getEditorPoint(canvas, e) {
+    const bounds = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - bounds.left) / bounds.width * canvas.width,
+        y: (e.clientY - bounds.top) / bounds.height * canvas.height
+    };
+}
+
+function getEditorHandleSize(canvas) {
+    const bounds = canvas.getBoundingClientRect();
+    return 10 * canvas.width / Math.max(bounds.width, 1);
+}
+
+function drawRectEditor() {
+    const canvas = document.getElementById('profileEditorCanvas');
+    const { profile, sample, selected } = rectEditor;
+    if (!canvas || !profile) return;
+
+    canvas.width = profile.width;
+    canvas.height = profile.height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    if (sample) {
+        ctx.drawImage(sample, 0, 0, canvas.width, canvas.height);
+    }
+
+    const handle = getEditorHandleSize(canvas);
+    const fontSize = Math.max(10, Math.round(profile.width / 64));
+    ctx.font = `600 ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+
+    ['top_parts', 'bottom_parts'].forEach(category => {
+        profile.map[category].forEach((node, index) => {
+            const [x, y, w, h] = node.rect;
+            const color = EDITOR_COLORS[category];
+            const isSelected = selected?.category === category && selected.index === index;
+
+            ctx.fillStyle = `rgba(${color}, ${isSelected ? 0.3 : 0.12})`;
+            ctx.fillRect(x, y, w, h);
+            ctx.lineWidth = isSelected ? handle / 4 : handle / 8;
+            ctx.strokeStyle = `rgba(${color}, 1)`;
+            ctx.strokeRect(x, y, w, h);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(index + 1), x + 3, y + 3, w - 6);
+
+            if (isSelected) {
+                ctx.fillStyle = `rgba(${color}, 1)`;
+                ctx.fillRect(x + w - handle, y + h - handle, handle, handle);
+            }
+        });
+    });
+}
+
+function syncRectEditorFields() {
+    const { profile, selected } = rectEditor;
+    if (!profile) return;
+
+    const nameInput = document.getElementById('profileName');
+    const widthInput = document.getElementById('profileWidth');
+    const heightInput = document.getElementById('profileHeight');
+    if (nameInput) nameInput.value = profile.name;
+    if (widthInput) widthInput.value = profile.width;
+    if (heightInput) heightInput.value = profile.height;
+
+    const label = document.getElementById('profileRegionLabel');
+    const node = selected ? profile.map[selected.category][selected.index] : null;
+
+    if (label) {
+        label.textContent = node
+            ? `${selected.index + 1}. ${getRegionLabel(profile, selected.category, selected.index)}`
+            : 'Click a region to select it';
+    }
+
+    ['X', 'Y', 'W', 'H'].forEach((axis, i) => {
+        const input = document.getElementById(`profileRect${axis}`);
+        if (!input) return;
+        input.disabled = !node;
+        input.value = node ? node.rect[i] : '';
+    });
+}
+
+function hitTestRectEditor(point, handle) {
+    const { profile, selected } = rectEditor;
+
+    if (selected) {
+        const [x, y, w, h] = profile.map[selected.category][selected.index].rect;
+        if (point.x >= x + w - handle && point.x <= x + w && point.y >= y + h - handle && point.y <= y + h) {
+            return { ...selected, mode: 'resize' };
+        }
+    }
+
+    // later regions are drawn on top, so test them first
+    for (const category of ['bottom_parts', 'top_parts']) {
+        const parts = profile.map[category];
+        for (let index = parts.length - 1; index >= 0; index--) {
+            const [x, y, w, h] = parts[index].rect;
+            if (point.x >= x && point.x <= x + w && point.y >= y && point.y <= y + h) {
+                return { category, index, mode: 'move' };
+            }
+        }
+    }
+
+    return null;
+}
+
+function clampRect(rect, profile) {
+    let [x, y, w, h] = rect.map(Math.round);
+    w = Math.min(Math.max(w, 1), profile.width);
+    h = Math.min(Math.max(h, 1), profile.height);
+    x = Math.min(Math.max(x, 0), profile.width - w);
+    y = Math.min(Math.max(y, 0), profile.height - h);
+    return [x, y, w, h];
+}
+
+function openRectEditor(profile) {
+    const modal = document.getElementById('profileEditor');
+    if (!modal) return;
+
+    rectEditor.profile = profile;
+    rectEditor.selected = null;
+    rectEditor.drag = null;
+    modal.hidden = false;
+
+    drawRectEditor();
+    syncRectEditorFields();
+}
+
+function closeRectEditor() {
+    const modal = document.getElementById('profileEditor');
+    if (modal) modal.hidden = true;
+    if (!rectEditor.profile) return;
+
+    rectEditor.profile = null;
+    rectEditor.drag = null;
+    saveCustomProfiles();
+    renderProfileOptions();
+}
+
+function getSelectedEditProfile() {
+    return getTemplateProfile(document.getElementById('profileEditSelect')?.value);
+}
+
+const profileEditorCanvas = document.getElementById('profileEditorCanvas');
+if (profileEditorCanvas) {
+    profileEditorCanvas.addEventListener('pointerdown', (e) => {
+        if (!rectEditor.profile) return;
+
+        const point = getEditorPoint(profileEditorCanvas, e);
+        const hit = hitTestRectEditor(point, getEditorHandleSize(profileEditorCanvas));
+
+        rectEditor.selected = hit ? { category: hit.category, index: hit.index } : null;
+        if (hit) {
+            rectEditor.drag = {
+                mode: hit.mode,
+                start: point,
+                rect: [...rectEditor.profile.map[hit.category][hit.index].rect]
+            };
+            profileEditorCanvas.setPointerCapture(e.pointerId);
+        }
+
+        drawRectEditor();
+        syncRectEditorFields();
+    });
+
+    profileEditorCanvas.addEventListener('pointermove', (e) => {
+        const { profile, selected, drag } = rectEditor;
+        if (!profile || !selected || !drag) return;
+
+        const point = getEditorPoint(profileEditorCanvas, e);
+        const dx = point.x - drag.start.x;
+        const dy = point.y - drag.start.y;
+        const [x, y, w, h] = drag.rect;
+
+        const next = drag.mode === 'resize'
+            ? [x, y, Math.min(w + dx, profile.width - x), Math.min(h + dy, profile.height - y)]
+            : [x + dx, y + dy, w, h];
+
+        profile.map[selected.category][selected.index].rect = clampRect(next, profile);
+        drawRectEditor();
+        syncRectEditorFields();
+    });
+
+    const endDrag = () => {
+        if (!rectEditor.drag) return;
+        rectEditor.drag = null;
+        saveCustomProfiles();
+    };
+    profileEditorCanvas.addEventListener('pointerup', endDrag);
+    profileEditorCanvas.addEventListener('pointercancel', endDrag);
+}
+
+['X', 'Y', 'W', 'H'].forEach((axis, i) => {
+    const input = document.getElementById(`profileRect${axis}`);
+    if (!input) return;
+
+    input.addEventListener('change', () => {
+        const { profile, selected } = rectEditor;
+        if (!profile || !selected) return;
+
+        const node = profile.map[selected.category][selected.index];
+        const rect = [...node.rect];
+        rect[i] = Number(input.value) || 0;
+        node.rect = clampRect(rect, profile);
+
+        saveCustomProfiles();
+        drawRectEditor();
+        syncRectEditorFields();
+    });
+});
+
+const profileNameInput = document.getElementById('profileName');
+if (profileNameInput) {
+    profileNameInput.addEventListener('change', () => {
+        const profile = rectEditor.profile;
+        const name = profileNameInput.value.trim().substring(0, 40);
+        if (!profile || !name) return;
+
+        profile.name = name;
+        profile.slug = sanitizeFilename(name.toLowerCase().replace(/\s+/g, '_'));
+        saveCustomProfiles();
+    });
+}
+
+['profileWidth', 'profileHeight'].forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+
+    input.addEventListener('change', () => {
+        const profile = rectEditor.profile;
+        if (!profile) return;
+
+        const value = Math.round(Number(input.value));
+        if (!Number.isInteger(value) || value < 1 || value > 8192) {
+            syncRectEditorFields();
+            return;
+        }
+
+        profile[inputId === 'profileWidth' ? 'width' : 'height'] = value;
+        ['top_parts', 'bottom_parts'].forEach(category => {
+            profile.map[category].forEach(node => {
+                node.rect = clampRect(node.rect, profile);
+            });
+        });
+
+        saveCustomProfiles();
+        drawRectEditor();
+        syncRectEditorFields();
+    });
+});
+
+const profileSampleInput = document.getElementById('profileSampleInput');
+if (profileSampleInput) {
+    profileSampleInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        this.value = '';
+        if (!file) return;
+
+        try {
+            await validateImageFile(file);
+            const img = await loadImageSafely(file);
+            if (rectEditor.sample) safeRevokeObjectURL(rectEditor.sample.src);
+            rectEditor.sample = img;
+            drawRectEditor();
+        } catch (error) {
+            updateStatus(error.message, 'error');
+        }
+    });
+}
+
+const profileEditBtn = document.getElementById('profileEditBtn');
+if (profileEditBtn) {
+    profileEditBtn.addEventListener('click', () => {
+        let profile = getSelectedEditProfile();
+        if (!profile) return;
+
+        // built-in layouts stay untouched; edits go to a copy
+        if (profile.builtIn) {
+            profile = duplicateProfile(profile);
+            renderProfileOptions();
+            document.getElementById('profileEditSelect').value = profile.id;
+            updateStatus(`Created "${profile.name}" to edit`, 'info');
+        }
+
+        openRectEditor(profile);
+    });
+}
+
+const profileDeleteBtn = document.getElementById('profileDeleteBtn');
+if (profileDeleteBtn) {
+    profileDeleteBtn.addEventListener('click', () => {
+        const profile = getSelectedEditProfile();
+        if (!profile) return;
+
+        if (profile.builtIn) {
+            updateStatus('Built-in layouts cannot be deleted', 'error');
+            return;
+        }
+
+        customProfiles = customProfiles.filter(p => p !== profile);
+        saveCustomProfiles();
+        renderProfileOptions();
+        updateStatus(`Deleted "${profile.name}"`, 'info');
+    });
+}
+
+const profileExportBtn = document.getElementById('profileExportBtn');
+if (profileExportBtn) {
+    profileExportBtn.addEventListener('click', () => {
+        const profile = rectEditor.profile || getSelectedEditProfile();
+        if (!profile) return;
+
+        const json = JSON.stringify(serializeMappingProfile(profile), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        if (!downloadBlob(blob, `${profile.slug || 'layout'}_profile.json`)) {
+            updateStatus('Failed to create download', 'error');
+        }
+    });
+}
+
+const profileImportInput = document.getElementById('profileImportInput');
+if (profileImportInput) {
+    profileImportInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        this.value = '';
+        if (!file) return;
+
+        try {
+            if (file.size > 1024 * 1024) {
+                throw new Error('Profile file too large! Maximum size is 1MB');
+            }
+
+            const profile = parseMappingProfile(JSON.parse(await file.text()));
+            customProfiles.push(profile);
+            saveCustomProfiles();
+            renderProfileOptions();
+
+            const editSelect = document.getElementById('profileEditSelect');
+            if (editSelect) editSelect.value = profile.id;
+
+            updateStatus(`Imported "${profile.name}"`, 'success');
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'Profile is not valid JSON' : error.message;
+            updateStatus(message, 'error');
+        }
+    });
+}
+
+const profileImportBtn = document.getElementById('profileImportBtn');
+if (profileImportBtn && profileImportInput) {
+    profileImportBtn.addEventListener('click', () => profileImportInput.click());
+}
+
+const profileEditorClose = document.getElementById('profileEditorClose');
+if (profileEditorClose) {
+    profileEditorClose.addEventListener('click', closeRectEditor);
+}
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && rectEditor.profile) closeRectEditor();
+});
+
+const GUIDE_COLORS = [
+    { match: ['torso'], color: '96, 165, 250' },
+    { match: ['head', 'face'], color: '250, 204, 21' },
+    { match: ['right'], color: '248, 113, 113' },
+    { match: ['left'], color: '74, 222, 128' }
+];
+
+const RIG_UV_SIZE = 1024;
+
+function getGuideColor(name, fallback = '192, 132, 252') {
+    const lower = name.toLowerCase();
+    return GUIDE_COLORS.find(entry => entry.match.some(part => lower.includes(part)))?.color || fallback;
+}
+
+function drawGuideLabel(ctx, text, cx, cy, maxWidth, fontSize) {
+    ctx.font = `600 ${fontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = Math.max(2, fontSize / 4);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillStyle = '#ffffff';
+
+    // wrap onto two lines when the name doesn't fit the region
+    const words = text.split(' ');
+    const lines = ctx.measureText(text).width > maxWidth && words.length > 1
+        ? [words.slice(0, Math.ceil(words.length / 2)).join(' '), words.slice(Math.ceil(words.length / 2)).join(' ')]
+        : [text];
+
+    lines.forEach((line, i) => {
+        const y = cy + (i - (lines.length - 1) / 2) * fontSize * 1.15;
+        ctx.strokeText(line, cx, y, maxWidth);
+        ctx.fillText(line, cx, y, maxWidth);
+    });
+}
+
+function generateProfileTemplate(profile, style, garment) {
+    const canvas = document.createElement('canvas');
+    canvas.width = profile.width;
+    canvas.height = profile.height;
+    const ctx = canvas.getContext('2d');
+
+    const lineWidth = Math.max(1, Math.round(profile.width / 512));
+    const fontSize = Math.max(8, Math.round(profile.width / 70));
+
+    ['top_parts', 'bottom_parts'].forEach(category => {
+        profile.map[category].forEach((node, index) => {
+            const [x, y, w, h] = node.rect;
+            const label = getRegionLabel(profile, category, index, garment);
+            const color = getGuideColor(label, EDITOR_COLORS[category]);
+
+            if (style === 'template') {
+                ctx.fillStyle = `rgba(${color}, 0.35)`;
+                ctx.fillRect(x, y, w, h);
+            }
+
+            ctx.lineWidth = lineWidth;
+            ctx.strokeStyle = `rgba(${color}, 1)`;
+            ctx.strokeRect(x + lineWidth / 2, y + lineWidth / 2, w - lineWidth, h - lineWidth);
+
+            drawGuideLabel(ctx, label, x + w / 2, y + h / 2, w - 4, Math.min(fontSize, h / 3));
+        });
+    });
+
+    return canvas;
+}
+
+function generateRigUvGuide(style) {
+    const canvas = document.createElement('canvas');
+    canvas.width = RIG_UV_SIZE;
+    canvas.height = RIG_UV_SIZE;
+    const ctx = canvas.getContext('2d');
+    const labels = [];
+
+    polyModel.traverse(child => {
+        if (!child.isMesh || child.userData.isUGC || !child.geometry?.attributes.uv) return;
+
+        const uv = child.geometry.attributes.uv;
+        const index = child.geometry.index;
+        const count = index ? index.count : uv.count;
+        const color = getGuideColor(child.name);
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        ctx.beginPath();
+        for (let i = 0; i + 2 < count; i += 3) {
+            for (let corner = 0; corner < 3; corner++) {
+                const vertex = index ? index.getX(i + corner) : i + corner;
+                // textures are loaded with flipY = false, so v maps straight to rows
+                const px = uv.getX(vertex) * RIG_UV_SIZE;
+                const py = uv.getY(vertex) * RIG_UV_SIZE;
+                if (corner === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+
+                bounds.minX = Math.min(bounds.minX, px);
+                bounds.minY = Math.min(bounds.minY, py);
+                bounds.maxX = Math.max(bounds.maxX, px);
+                bounds.maxY = Math.max(bounds.maxY, py);
+            }
+            ctx.closePath();
+        }
+
+        if (style === 'template') {
+            ctx.fillStyle = `rgba(${color}, 0.35)`;
+            ctx.fill();
+        }
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = `rgba(${color}, 0.9)`;
+        ctx.stroke();
+
+        if (bounds.minX < bounds.maxX) {
+            labels.push({ name: child.name || 'Mesh', bounds });
+        }
+    });
+
+    labels.forEach(({ name, bounds }) => {
+        const w = bounds.maxX - bounds.minX;
+        const h = bounds.maxY - bounds.minY;
+        drawGuideLabel(ctx, name, bounds.minX + w / 2, bounds.minY + h / 2, Math.max(w, 60), 14);
     });
+
+    return canvas;
 }
 
-const skinInput = document.getElementById('skinTone');
-if (skinInput) {
-    skinInput.addEventListener('input', e => {
-        currentSkinTone = new THREE.Color(e.target.value);
-        if (!polyModel) return;
-        polyModel.traverse(child => {
-            if (child.isMesh && !child.userData.isUGC) {
-                if (child.material.skinColor) {
-                    child.material.skinColor.copy(currentSkinTone);
-                } else {
-                    child.material.color.copy(currentSkinTone);
+let generatedTemplate = null;
+
+const generateTemplateBtn = document.getElementById('generateTemplateBtn');
+if (generateTemplateBtn) {
+    generateTemplateBtn.addEventListener('click', () => {
+        const layoutId = document.getElementById('generatorLayout')?.value || 'poly';
+        const style = document.getElementById('generatorStyle')?.value || 'template';
+        const garment = document.getElementById('generatorGarment')?.value || 'shirt';
+        const suffix = style === 'guide' ? 'guide' : 'blank_template';
+
+        try {
+            if (layoutId === 'rig') {
+                if (!polyModel) {
+                    updateStatus('Please load a character model first!', 'error');
+                    return;
                 }
-                child.material.needsUpdate = true;
+
+                const gender = document.querySelector('input[name="characterGender"]:checked')?.value ?? 'male';
+                const rig = document.querySelector('input[name="rigType"]:checked')?.value ?? 'new';
+                generatedTemplate = {
+                    canvas: generateRigUvGuide(style),
+                    fileName: `${rig}_${gender}_rig_uv_${suffix}.png`
+                };
+            } else {
+                const profile = getTemplateProfile(layoutId) || TEMPLATE_LAYOUTS.poly;
+                generatedTemplate = {
+                    canvas: generateProfileTemplate(profile, style, garment),
+                    fileName: `${profile.slug}_${garment}_${suffix}.png`
+                };
             }
-        });
-    });
-}
 
-const gridInput = document.getElementById('showGrid');
-if (gridInput) {
-    gridInput.addEventListener('change', e => {
-        gridHelper.visible = e.target.checked;
+            drawPreviewCanvas(document.getElementById('generatorPreview'), generatedTemplate.canvas);
+            const downloadBtn = document.getElementById('downloadTemplateBtn');
+            if (downloadBtn) downloadBtn.disabled = false;
+
+            updateStatus('Template generated', 'success');
+        } catch (error) {
+            updateStatus('Failed to generate template', 'error');
+            console.error('Template generation error:', error);
+        }
     });
 }
 
-const uploadInput = document.getElementById('upload');
-if (uploadInput) {
-    uploadInput.addEventListener('change', async function(e) {
-        if (!polyModel) {
-            updateStatus('Please load a character model first!', 'error');
-            this.value = '';
-            return;
-        }
-        
-        const file = e.target.files[0];
-        if (!file) return;
-        
+const downloadTemplateBtn = document.getElementById('downloadTemplateBtn');
+if (downloadTemplateBtn) {
+    downloadTemplateBtn.addEventListener('click', async () => {
+        if (!generatedTemplate) return;
         try {
-            await validateImageFile(file);
-            
-            const img = await loadImageSafely(file);
-            
-            const texture = new THREE.Texture(img);
-            texture.flipY = false;
-            texture.encoding = THREE.sRGBEncoding;
-            texture.needsUpdate = true;
-            
-            const clothingType = document.getElementById('clothingType')?.value || 'shirt';
-            const keepExisting = document.getElementById('keepTextures')?.checked ?? true;
-
-            activeTextures[clothingType] = texture;
-            if (clothingType === 'face') faceTexture = texture;
-            
-            refreshModelTextures(keepExisting, clothingType);
-            
-            safeRevokeObjectURL(img.src);
-            
-            updateStatus('Texture applied successfully!', 'success');
+            const blob = await canvasToBlob(generatedTemplate.canvas);
+            if (!downloadBlob(blob, generatedTemplate.fileName)) {
+                updateStatus('Failed to create download', 'error');
+                return;
+            }
+            updateStatus('Template downloaded!', 'success');
         } catch (error) {
             updateStatus(error.message, 'error');
-            this.value = '';
         }
     });
 }
 
-const clearBtn = document.getElementById('clearBtn');
-if (clearBtn) {
-    clearBtn.addEventListener('click', () => {
-        if (!polyModel) return;
-        
-        activeTextures = { shirt: null, pants: null, face: null };
-        faceTexture = null;
-        
-        polyModel.traverse(child => {
-            if (child.isMesh) {
-                child.material = createMaterial(currentSkinTone, null);
-                child.material.needsUpdate = true;
-            }
+// painted pixels this close to a region still count as edge bleed, not stray paint
+const LINT_BLEED_TOLERANCE = 4;
+
+const LINT_HEAT_COLORS = {
+    outside: [239, 68, 68],
+    transparent: [59, 130, 246],
+    edge: [250, 204, 21]
+};
+
+function summarizeRegions(names) {
+    const shown = names.slice(0, 3).join(', ');
+    return names.length > 3 ? `${shown} and ${names.length - 3} more` : shown;
+}
+
+function lintTemplate(img, layout, garment) {
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    const scaleX = width / layout.width;
+    const scaleY = height / layout.height;
+    const issues = [];
+
+    if (width !== layout.width || height !== layout.height) {
+        const misaligned = Math.abs(scaleX - scaleY) / Math.max(scaleX, scaleY) > LAYOUT_ASPECT_TOLERANCE;
+        issues.push({
+            severity: misaligned ? 'error' : 'warning',
+            message: `Image is ${width}×${height}, ${layout.name} expects ${layout.width}×${layout.height}`
+                + (misaligned ? ' — regions will be misaligned' : ' — regions are scaled to match')
         });
-        
-        const upload = document.getElementById('upload');
-        if (upload) upload.value = '';
-        
-        updateStatus('Textures cleared', 'info');
+    }
+
+    const source = document.createElement('canvas');
+    source.width = width;
+    source.height = height;
+    const sourceCtx = source.getContext('2d', { willReadFrequently: true });
+    sourceCtx.drawImage(img, 0, 0);
+    const pixels = sourceCtx.getImageData(0, 0, width, height).data;
+
+    const heat = sourceCtx.createImageData(width, height);
+    const mark = (i, [r, g, b]) => {
+        heat.data[i * 4] = r;
+        heat.data[i * 4 + 1] = g;
+        heat.data[i * 4 + 2] = b;
+        heat.data[i * 4 + 3] = 200;
+    };
+
+    const regions = ['top_parts', 'bottom_parts'].flatMap(category =>
+        layout.map[category].map((node, index) => {
+            const [x, y, w, h] = node.rect;
+            return {
+                name: getRegionLabel(layout, category, index, garment),
+                x: Math.round(x * scaleX),
+                y: Math.round(y * scaleY),
+                w: Math.max(1, Math.round(w * scaleX)),
+                h: Math.max(1, Math.round(h * scaleY))
+            };
+        })
+    );
+
+    const allowed = new Uint8Array(width * height);
+    const tolerance = Math.round(LINT_BLEED_TOLERANCE * Math.max(scaleX, scaleY));
+    regions.forEach(({ x, y, w, h }) => {
+        const x0 = Math.max(0, x - tolerance);
+        const x1 = Math.min(width, x + w + tolerance);
+        for (let row = Math.max(0, y - tolerance); row < Math.min(height, y + h + tolerance); row++) {
+            allowed.fill(1, row * width + x0, row * width + x1);
+        }
     });
-}
 
-const ugcUpload = document.getElementById('ugcUpload');
-if (ugcUpload) {
-    ugcUpload.addEventListener('change', async function(e) {
-        const file = e.target.files[0];
-        this.value = '';
-        
-        if (!file) return;
-        
-        if (!polyModel) {
-            updateStatus('Please load a character model first!', 'error');
-            return;
+    const transparentRegions = [];
+    const softEdgeRegions = [];
+    let softEdgePixels = 0;
+
+    regions.forEach(region => {
+        const { x, y, w, h } = region;
+        const x1 = Math.min(width, x + w);
+        const y1 = Math.min(height, y + h);
+        let painted = 0;
+        let soft = 0;
+
+        for (let row = y; row < y1; row++) {
+            for (let col = x; col < x1; col++) {
+                const alpha = pixels[(row * width + col) * 4 + 3];
+                if (alpha > 8) painted++;
+
+                const onEdge = row === y || row === y1 - 1 || col === x || col === x1 - 1;
+                if (onEdge && alpha > 8 && alpha < 247) {
+                    soft++;
+                    mark(row * width + col, LINT_HEAT_COLORS.edge);
+                }
+            }
+        }
+
+        if (painted === 0) {
+            transparentRegions.push(region.name);
+            for (let row = y; row < y1; row++) {
+                for (let col = x; col < x1; col++) mark(row * width + col, LINT_HEAT_COLORS.transparent);
+            }
         }
 
-        await loadUgc(file);
+        if (soft > 0) {
+            softEdgeRegions.push(region.name);
+            softEdgePixels += soft;
+        }
     });
-}
 
-const clearUgcBtn = document.getElementById('clearUgcBtn');
-if (clearUgcBtn) {
-    clearUgcBtn.addEventListener('click', () => {
-        if (!polyModel) return;
-        equippedUgc.forEach(item => {
-            if (item) polyModel.remove(item);
+    let strayPixels = 0;
+    for (let i = 0; i < allowed.length; i++) {
+        if (!allowed[i] && pixels[i * 4 + 3] > 8) {
+            strayPixels++;
+            mark(i, LINT_HEAT_COLORS.outside);
+        }
+    }
+
+    if (transparentRegions.length > 0) {
+        issues.push({
+            severity: 'warning',
+            message: `${transparentRegions.length} region(s) fully transparent, skin will show: ${summarizeRegions(transparentRegions)}`
         });
-        equippedUgc = [];
-        renderUgcList();
-        updateStatus("All accessories cleared", "info");
+    }
+    if (strayPixels > 0) {
+        issues.push({
+            severity: 'warning',
+            message: `${strayPixels.toLocaleString()} px painted outside any mapped region`
+        });
+    }
+    if (softEdgeRegions.length > 0) {
+        issues.push({
+            severity: 'warning',
+            message: `Semi-transparent edges on ${softEdgeRegions.length} region(s) (${softEdgePixels.toLocaleString()} px): ${summarizeRegions(softEdgeRegions)}`
+        });
+    }
+
+    const heatmap = document.createElement('canvas');
+    heatmap.width = width;
+    heatmap.height = height;
+    const heatCtx = heatmap.getContext('2d');
+    heatCtx.globalAlpha = 0.35;
+    heatCtx.drawImage(img, 0, 0);
+    heatCtx.globalAlpha = 1;
+
+    const overlay = document.createElement('canvas');
+    overlay.width = width;
+    overlay.height = height;
+    overlay.getContext('2d').putImageData(heat, 0, 0);
+    heatCtx.drawImage(overlay, 0, 0);
+
+    heatCtx.lineWidth = Math.max(1, Math.round(width / 512));
+    heatCtx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    regions.forEach(({ x, y, w, h }) => heatCtx.strokeRect(x, y, w, h));
+
+    return { issues, heatmap };
+}
+
+function showTemplateLint(img) {
+    const layout = getTemplateProfile(document.getElementById('lintLayout')?.value) || TEMPLATE_LAYOUTS.poly;
+    const garment = document.getElementById('clothingType')?.value === 'pants' ? 'pants' : 'shirt';
+
+    try {
+        const lint = lintTemplate(img, layout, garment);
+
+        const report = document.getElementById('lintReport');
+        if (report) {
+            report.innerHTML = '';
+            const entries = lint.issues.length > 0
+                ? lint.issues
+                : [{ severity: 'success', message: `Matches the ${layout.name} layout` }];
+
+            entries.forEach(issue => {
+                const row = document.createElement('div');
+                row.className = `report-item ${issue.severity}`;
+
+                const nameSpan = document.createElement('span');
+                nameSpan.className = 'report-name';
+                nameSpan.textContent = issue.severity === 'success' ? '✓' : issue.severity === 'error' ? '✕' : '!';
+
+                const detailSpan = document.createElement('span');
+                detailSpan.className = 'report-detail wrap';
+                detailSpan.textContent = issue.message;
+
+                row.appendChild(nameSpan);
+                row.appendChild(detailSpan);
+                report.appendChild(row);
+            });
+        }
+
+        drawPreviewCanvas(document.getElementById('lintHeatmap'), lint.heatmap);
+        return lint;
+    } catch (error) {
+        console.error('Template lint error:', error);
+        return null;
+    }
+}
+
+function hideTemplateLint(hidden) {
+    const panel = document.getElementById('lintPanel');
+    if (panel) panel.hidden = hidden;
+}
+
+const paintState = {
+    enabled: false,
+    stroke: null
+};
+
+// strokes don't connect across jumps this far apart in UV space (seams)
+const PAINT_SEAM_DISTANCE = 0.08;
+const FILL_TOLERANCE = 48;
+
+const paintRaycaster = new THREE.Raycaster();
+const paintPointer = new THREE.Vector2();
+
+function getPaintSettings() {
+    return {
+        tool: document.querySelector('input[name="paintTool"]:checked')?.value || 'brush',
+        color: document.getElementById('paintColor')?.value || '#ffffff',
+        size: Math.max(1, parseInt(document.getElementById('paintSize')?.value, 10) || 8)
+    };
+}
+
+function raycastBody(e, category) {
+    if (!polyModel) return null;
+
+    const bounds = renderer.domElement.getBoundingClientRect();
+    paintPointer.x = ((e.clientX - bounds.left) / bounds.width) * 2 - 1;
+    paintPointer.y = -((e.clientY - bounds.top) / bounds.height) * 2 + 1;
+    paintRaycaster.setFromCamera(paintPointer, camera);
+
+    const meshes = [];
+    polyModel.traverse(child => {
+        if (child.isMesh && child.visible && !child.userData.isUGC) meshes.push(child);
     });
+
+    const hit = paintRaycaster.intersectObjects(meshes, false)[0];
+    if (!hit || !hit.uv) return null;
+
+    const name = hit.object.name.toLowerCase();
+    return {
+        mesh: hit.object,
+        uv: hit.uv.clone(),
+        onCategory: BODY_PARTS[category]?.some(part => name.includes(part)) ?? false
+    };
 }
 
-const downloadGeometryBtn = document.getElementById('downloadGeometryBtn');
-if (downloadGeometryBtn) {
-    downloadGeometryBtn.addEventListener('click', downloadGeometry);
+function getPaintLayer(category) {
+    const layers = textureLayers[category];
+    const top = layers[layers.length - 1];
+    // a moved or rotated layer no longer lines up with the UVs under the brush
+    const layer = top && !hasLayerTransform(top) ? top : addBlankLayer(category);
+    layer.visible = true;
+    return layer;
 }
 
-const downloadTexturesBtn = document.getElementById('downloadTexturesBtn');
-if (downloadTexturesBtn) {
-    downloadTexturesBtn.addEventListener('click', downloadTexturesZip);
+function paintDab(canvas, from, to, settings) {
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.globalCompositeOperation = settings.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = settings.color;
+    ctx.fillStyle = settings.color;
+    ctx.lineWidth = settings.size;
+    ctx.lineCap = 'round';
+
+    const x = to.x * canvas.width;
+    const y = to.y * canvas.height;
+
+    if (from) {
+        ctx.beginPath();
+        ctx.moveTo(from.x * canvas.width, from.y * canvas.height);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+    } else {
+        ctx.beginPath();
+        ctx.arc(x, y, settings.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
 }
 
-const convertBtn = document.getElementById('convertBtn');
-if (convertBtn) {
-    convertBtn.addEventListener('click', async () => {
-        const fileInput = document.getElementById('converterInput');
-        const file = fileInput?.files[0];
-        
-        if (!file) {
-            updateStatus('Please select a template image first!', 'error');
-            return;
-        }
-        
-        try {
-            await validateImageFile(file);
-            
-            const mode = document.querySelector('input[name="convertMode"]:checked')?.value || 'rbx2poly';
-            const isRbx2Poly = mode === 'rbx2poly';
-            const srcMap = isRbx2Poly ? rbxMapData : polyMapData;
-            const destMap = isRbx2Poly ? polyMapData : rbxMapData;
-            
-            updateStatus('Converting...', 'loading');
-            
-            const img = await loadImageSafely(file);
-            
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d', { 
-                willReadFrequently: true,
-                alpha: true 
-            }); 
-            
-            canvas.width = isRbx2Poly ? 1024 : 585;
-            canvas.height = isRbx2Poly ? 1024 : 559;
-            
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = 'high';
-            
-            ['top_parts', 'bottom_parts'].forEach(category => {
-                srcMap[category].forEach((srcNode, index) => {
-                    const destNode = destMap[category][index];
-                    if (!destNode) return;
-                    const [sx, sy, sw, sh] = srcNode.rect;
-                    const [dx, dy, dw, dh] = destNode.rect;
-                    ctx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
-                });
-            });
-            
-            safeRevokeObjectURL(img.src);
-            
-            canvas.toBlob((blob) => {
-                if (!blob) {
-                    updateStatus('Conversion failed', 'error');
-                    return;
-                }
-                
-                const url = safeCreateObjectURL(blob);
-                if (!url) {
-                    updateStatus('Failed to create download', 'error');
-                    return;
-                }
-                
-                const link = document.createElement('a');
-                link.download = isRbx2Poly ? 'polytoria_template.png' : 'roblox_template.png';
-                link.href = url;
-                
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                
-                setTimeout(() => safeRevokeObjectURL(url), 100);
-                
-                updateStatus('Conversion complete!', 'success');
-            }, 'image/png', 1.0);
-        } catch (error) {
-            updateStatus(error.message, 'error');
-            console.error('Conversion error:', error);
-        }
+// fills the visible colour under the cursor, kept inside the template region it starts in
+function floodFillLayer(category, layer, uv, color) {
+    const canvas = layer.image;
+    const { width, height } = canvas;
+    const startX = Math.min(width - 1, Math.floor(uv.x * width));
+    const startY = Math.min(height - 1, Math.floor(uv.y * height));
+
+    const composite = layerComposites[category]?.canvas;
+    const sample = document.createElement('canvas');
+    sample.width = width;
+    sample.height = height;
+    const sampleCtx = sample.getContext('2d', { willReadFrequently: true });
+    if (composite) sampleCtx.drawImage(composite, 0, 0, width, height);
+    const visible = sampleCtx.getImageData(0, 0, width, height).data;
+
+    const layout = TEMPLATE_LAYOUTS.poly;
+    const region = getTemplateRects(layout)
+        .map(([x, y, w, h]) => [
+            Math.round(x * width / layout.width), Math.round(y * height / layout.height),
+            Math.round(w * width / layout.width), Math.round(h * height / layout.height)
+        ])
+        .find(([x, y, w, h]) => startX >= x && startX < x + w && startY >= y && startY < y + h)
+        || [0, 0, width, height];
+    const [rx, ry, rw, rh] = region;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const output = ctx.getImageData(0, 0, width, height);
+    const fill = new THREE.Color(color);
+    const [fr, fg, fb] = [fill.r, fill.g, fill.b].map(c => Math.round(c * 255));
+
+    const start = (startY * width + startX) * 4;
+    const target = [visible[start], visible[start + 1], visible[start + 2], visible[start + 3]];
+    const matches = (i) =>
+        Math.abs(visible[i] - target[0]) + Math.abs(visible[i + 1] - target[1])
+        + Math.abs(visible[i + 2] - target[2]) + Math.abs(visible[i + 3] - target[3]) <= FILL_TOLERANCE;
+
+    const seen = new Uint8Array(width * height);
+    const stack = [startX, startY];
+    while (stack.length > 0) {
+        const y = stack.pop();
+        const x = stack.pop();
+        if (x < rx || x >= rx + rw || y < ry || y >= ry + rh) continue;
+
+        const p = y * width + x;
+        if (seen[p] || !matches(p * 4)) continue;
+        seen[p] = 1;
+
+        output.data[p * 4] = fr;
+        output.data[p * 4 + 1] = fg;
+        output.data[p * 4 + 2] = fb;
+        output.data[p * 4 + 3] = 255;
+
+        stack.push(x + 1, y, x - 1, y, x, y + 1, x, y - 1);
+    }
+
+    ctx.putImageData(output, 0, 0);
+}
+
+function commitPaint(category, layerAdded) {
+    const rebuilt = compositeTextureLayers(category);
+    if (rebuilt) refreshModelTextures(true);
+    if (layerAdded) renderLayerList();
+}
+
+canvasContainer.addEventListener('pointerdown', (e) => {
+    if (!paintState.enabled || e.button !== 0) return;
+
+    const category = document.getElementById('clothingType')?.value || 'shirt';
+    const hit = raycastBody(e, category);
+    if (!hit) return;
+
+    // captured on the container so orbiting doesn't start under the brush
+    e.stopPropagation();
+
+    if (!hit.onCategory) {
+        updateStatus(`That part isn't covered by ${category} — switch the clothing type to paint it`, 'error');
+        return;
+    }
+
+    const settings = getPaintSettings();
+    const layerCount = textureLayers[category].length;
+    const layer = getPaintLayer(category);
+
+    if (settings.tool === 'fill') {
+        floodFillLayer(category, layer, hit.uv, settings.color);
+        commitPaint(category, textureLayers[category].length !== layerCount);
+        return;
+    }
+
+    paintDab(layer.image, null, hit.uv, settings);
+    commitPaint(category, textureLayers[category].length !== layerCount);
+
+    paintState.stroke = { category, layer, settings, mesh: hit.mesh, last: hit.uv };
+    renderer.domElement.setPointerCapture(e.pointerId);
+}, true);
+
+canvasContainer.addEventListener('pointermove', (e) => {
+    const stroke = paintState.stroke;
+    if (!stroke) return;
+
+    const hit = raycastBody(e, stroke.category);
+    if (!hit || !hit.onCategory) {
+        stroke.last = null;
+        return;
+    }
+
+    const connected = stroke.last && hit.mesh === stroke.mesh
+        && hit.uv.distanceTo(stroke.last) < PAINT_SEAM_DISTANCE;
+    paintDab(stroke.layer.image, connected ? stroke.last : null, hit.uv, stroke.settings);
+    commitPaint(stroke.category, false);
+
+    stroke.mesh = hit.mesh;
+    stroke.last = hit.uv;
+}, true);
+
+['pointerup', 'pointercancel'].forEach(eventName => {
+    canvasContainer.addEventListener(eventName, () => {
+        paintState.stroke = null;
+    }, true);
+});
+
+const paintModeInput = document.getElementById('paintMode');
+if (paintModeInput) {
+    paintModeInput.addEventListener('change', e => {
+        paintState.enabled = e.target.checked;
+        paintState.stroke = null;
+        renderer.domElement.style.cursor = paintState.enabled ? 'crosshair' : '';
+    });
+}
+
+const paintSizeInput = document.getElementById('paintSize');
+if (paintSizeInput) {
+    paintSizeInput.addEventListener('input', () => {
+        const label = document.getElementById('paintSizeValue');
+        if (label) label.textContent = `${paintSizeInput.value}px`;
+    });
+}
+
+const newPaintLayerBtn = document.getElementById('newPaintLayerBtn');
+if (newPaintLayerBtn) {
+    newPaintLayerBtn.addEventListener('click', () => {
+        const category = document.getElementById('clothingType')?.value || 'shirt';
+        addBlankLayer(category);
+        updateCategoryLayers(category);
+        updateStatus(`Added a paint layer to ${category}`, 'info');
     });
 }
 
@@ -1008,6 +5795,9 @@ window.addEventListener('load', () => {
         renderer.setClearColor(bg.value);
     }
     
+    loadCustomProfiles();
+    renderProfileOptions();
+    
     loadModelFromPath('assets/rigs/character.glb');
     setTimeout(() => loadFaceDecal('assets/face/Smile.png'), 1000);
     
@@ -1056,21 +5846,15 @@ window.addEventListener('load', () => {
         });
     }
     
-    setupDropZone('converterDropZone', 'converterInput', ['image/png', 'image/jpeg', 'image/jpg']);
+    setupDropZone('converterDropZone', 'converterInput', ['image/png', 'image/jpeg', 'image/jpg'], true);
     setupDropZone('clothingDropZone',  'upload',         ['image/png', 'image/jpeg', 'image/jpg']);
-    setupDropZone('ugcDropZone', 'ugcUpload', ['model/gltf-binary', '.glb']);
+    setupDropZone('ugcDropZone', 'ugcUpload', ['model/gltf-binary', ...[...UGC_MODEL_EXTENSIONS, ...UGC_RESOURCE_EXTENSIONS].map(ext => `.${ext}`)], true);
+    setupDropZone('profileSampleDropZone', 'profileSampleInput', ['image/png', 'image/jpeg', 'image/jpg']);
     
     function getModelPath() {
         const gender = document.querySelector('input[name="characterGender"]:checked')?.value ?? 'male';
         const rig    = document.querySelector('input[name="rigType"]:checked')?.value ?? 'new';
-        if (rig === 'legacy') {
-            return gender === 'female'
-                ? 'assets/legacy_rigs/old_character_female.glb'
-                : 'assets/legacy_rigs/old_character.glb';
-        }
-        return gender === 'female'
-            ? 'assets/rigs/character_female.glb'
-            : 'assets/rigs/character.glb';
+        return getRigPath(gender, rig);
     }
 
     document.querySelectorAll('input[name="characterGender"]').forEach(radio => {
@@ -1085,7 +5869,13 @@ window.addEventListener('load', () => {
     function initColorPickers() {
         [
             { inputId: 'bgColor',  dotId: 'bgColorDot',  hexId: 'bgColorHex',  fieldId: 'bgColorField'  },
-            { inputId: 'skinTone', dotId: 'skinToneDot', hexId: 'skinToneHex', fieldId: 'skinToneField' }
+            { inputId: 'skinTone', dotId: 'skinToneDot', hexId: 'skinToneHex', fieldId: 'skinToneField' },
+            { inputId: 'paintColor', dotId: 'paintColorDot', hexId: 'paintColorHex', fieldId: 'paintColorField' },
+            { inputId: 'turntableBg', dotId: 'turntableBgDot', hexId: 'turntableBgHex', fieldId: 'turntableBgField' },
+            { inputId: 'ugcMaterialColor', dotId: 'ugcMaterialColorDot', hexId: 'ugcMaterialColorHex', fieldId: 'ugcMaterialColorField' },
+            ...Object.keys(BODY_COLOR_PARTS).map(part => ({
+                inputId: `${part}Color`, dotId: `${part}ColorDot`, hexId: `${part}ColorHex`, fieldId: `${part}ColorField`
+            }))
         ].forEach(({ inputId, dotId, hexId, fieldId }) => {
             const input = document.getElementById(inputId);
             const dot   = document.getElementById(dotId);
@@ -1106,6 +5896,8 @@ window.addEventListener('load', () => {
             }
 
             input.addEventListener('input', sync);
+            // fired when a value is set from code, which doesn't raise 'input'
+            input.addEventListener('colorsync', sync);
             sync();
         });
     }
@@ -1113,7 +5905,7 @@ window.addEventListener('load', () => {
     initColorPickers();
 });
 
-function setupDropZone(dropZoneId, inputId, acceptedTypes) {
+function setupDropZone(dropZoneId, inputId, acceptedTypes, multiple = false) {
     const dropZone = document.getElementById(dropZoneId);
     const input = document.getElementById(inputId);
     
@@ -1143,30 +5935,37 @@ function setupDropZone(dropZoneId, inputId, acceptedTypes) {
         });
     });
     
+    function isAccepted(file) {
+        const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
+        return acceptedTypes.some(type => 
+            file.type === type || fileExtension === type || type.includes(fileExtension)
+        );
+    }
+    
     dropZone.addEventListener('drop', (e) => {
         const dt = e.dataTransfer;
-        const files = dt.files;
+        const files = Array.from(dt.files);
         
         if (files.length > 0) {
-            const file = files[0];
-            const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
-            const isValid = acceptedTypes.some(type => 
-                file.type === type || fileExtension === type || type.includes(fileExtension)
-            );
+            const accepted = (multiple ? files : files.slice(0, 1)).filter(isAccepted);
+            const rejected = (multiple ? files.length : 1) - accepted.length;
             
-            if (isValid) {
+            if (accepted.length > 0) {
                 const dataTransfer = new DataTransfer();
-                dataTransfer.items.add(file);
+                accepted.forEach(file => dataTransfer.items.add(file));
                 input.files = dataTransfer.files;
                 
-                if (textElement) {
-                    updateDropZoneText(dropZone, textElement, sanitizeFilename(file.name));
-                }
-                
                 const event = new Event('change', { bubbles: true });
                 input.dispatchEvent(event);
-            } else {
-                updateStatus('Invalid file type. Please upload the correct format.', 'error');
+            }
+            
+            if (rejected > 0) {
+                updateStatus(
+                    accepted.length > 0
+                        ? `Skipped ${rejected} file(s) with an invalid type.`
+                        : 'Invalid file type. Please upload the correct format.',
+                    'error'
+                );
             }
         }
     });
@@ -1180,7 +5979,9 @@ function setupDropZone(dropZoneId, inputId, acceptedTypes) {
     input.addEventListener('change', () => {
         if (!textElement) return;
         
-        if (input.files.length > 0) {
+        if (input.files.length > 1) {
+            updateDropZoneText(dropZone, textElement, `${input.files.length} files selected`);
+        } else if (input.files.length > 0) {
             updateDropZoneText(dropZone, textElement, sanitizeFilename(input.files[0].name));
         } else {
             resetDropZoneText(dropZone, textElement, originalText);